@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { DiagramRenderer } from '../src/diagram/DiagramRenderer.js';
+import { renderToSVGString } from '../src/headless/renderToSVGString.js';
+
+const USAGE = `Usage: dbml-to-svg [options] <file.dbml>...
+
+Renders each DBML file to an SVG next to it, or into --out-dir.
+Pass - as the file to read DBML from stdin and write the SVG to stdout.
+
+Options:
+  -o, --output <file>       Output file (one input only)
+  -d, --out-dir <dir>       Directory for the generated files
+  -l, --layout <name>       ${DiagramRenderer.getLayoutNames().join(', ')} (default: layered)
+      --positions <file>    JSON table positions, as returned by getPositions()
+      --background <color>  Background colour, or "none" for transparent (default: #ffffff)
+      --padding <px>        Space around the diagram (default: 20)
+      --no-indexes          Hide index footers
+  -h, --help                Show this help
+`;
+
+class UsageError extends Error {}
+
+/**
+ * Parses the command line into { files, output, outDir, positionsFile, renderOptions }.
+ */
+function parseArgs(args) {
+  const result = { files: [], output: null, outDir: null, positionsFile: null, help: false, renderOptions: {} };
+  const takeValue = (index, flag) => {
+    if (index >= args.length) {
+      throw new UsageError(`${flag} needs a value`);
+    }
+    return args[index];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '-h':
+      case '--help':
+        result.help = true;
+        break;
+      case '-o':
+      case '--output':
+        result.output = takeValue(++i, arg);
+        break;
+      case '-d':
+      case '--out-dir':
+        result.outDir = takeValue(++i, arg);
+        break;
+      case '-l':
+      case '--layout': {
+        const layout = takeValue(++i, arg);
+        if (!DiagramRenderer.getLayoutNames().includes(layout)) {
+          throw new UsageError(`Unknown layout '${layout}'`);
+        }
+        result.renderOptions.layout = layout;
+        break;
+      }
+      case '--positions':
+        result.positionsFile = takeValue(++i, arg);
+        break;
+      case '--background': {
+        const background = takeValue(++i, arg);
+        result.renderOptions.background = background === 'none' ? null : background;
+        break;
+      }
+      case '--padding': {
+        const padding = Number(takeValue(++i, arg));
+        if (!Number.isFinite(padding) || padding < 0) {
+          throw new UsageError('--padding must be a non-negative number');
+        }
+        result.renderOptions.padding = padding;
+        break;
+      }
+      case '--no-indexes':
+        result.renderOptions.showIndexes = false;
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') {
+          throw new UsageError(`Unknown option ${arg}`);
+        }
+        result.files.push(arg);
+    }
+  }
+
+  if (!result.help && !result.files.length) {
+    throw new UsageError('No input files');
+  }
+  if (result.output && result.files.length > 1) {
+    throw new UsageError('--output can only be used with a single input file');
+  }
+  return result;
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function getOutputPath(file, { output, outDir }) {
+  if (output) return output;
+  const name = `${path.basename(file, path.extname(file))}.svg`;
+  return path.join(outDir || path.dirname(file), name);
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    process.stderr.write(`dbml-to-svg: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+
+  const renderOptions = { ...options.renderOptions };
+  if (options.positionsFile) {
+    renderOptions.positions = JSON.parse(await readFile(options.positionsFile, 'utf8'));
+  }
+  if (options.outDir) {
+    await mkdir(options.outDir, { recursive: true });
+  }
+
+  let failures = 0;
+  for (const file of options.files) {
+    try {
+      const dbml = file === '-' ? await readStdin() : await readFile(file, 'utf8');
+      const svg = renderToSVGString(dbml, renderOptions);
+
+      if (file === '-' && !options.output) {
+        process.stdout.write(svg);
+      } else {
+        const outputPath = getOutputPath(file === '-' ? 'stdin.dbml' : file, options);
+        await writeFile(outputPath, svg);
+        process.stderr.write(`${file} -> ${outputPath}\n`);
+      }
+    } catch (error) {
+      failures++;
+      const location = error.line ? `:${error.line}:${error.column}` : '';
+      process.stderr.write(`${file}${location}: ${error.reason || error.message}\n`);
+    }
+  }
+  return failures ? 1 : 0;
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
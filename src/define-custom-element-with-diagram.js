@@ -1,4 +1,35 @@
 import { DiagramRenderer } from './diagram/DiagramRenderer.js';
+import { parseDbml } from './parser/DbmlParser.js';
+import { DbmlParseError } from './parser/DbmlParseError.js';
+import { LocalStoragePositionStore, AttributePositionStore } from './diagram/PositionStore.js';
+import { DIAGRAM_STYLES } from './diagram/diagramStyles.js';
+import { SchemaOutline } from './diagram/SchemaOutline.js';
+import { toSQL } from './export/SqlExporter.js';
+import { toMermaid } from './export/MermaidExporter.js';
+import { toPlantUML } from './export/PlantUmlExporter.js';
+import { sqlToDbml } from './import/SqlImporter.js';
+
+/**
+ * Formats offered by the ⤓ menu: the file extension and MIME type of the download and
+ * the element method that produces it (a string, or a Promise of a Blob).
+ */
+const EXPORT_FORMATS = {
+  svg: { label: 'SVG image', extension: 'svg', type: 'image/svg+xml', method: 'exportSVG' },
+  png: { label: 'PNG image', extension: 'png', type: 'image/png', method: 'exportPNG' },
+  mermaid: { label: 'Mermaid', extension: 'mmd', type: 'text/plain', method: 'toMermaid' },
+  plantuml: { label: 'PlantUML', extension: 'puml', type: 'text/plain', method: 'toPlantUML' }
+};
+
+/**
+ * Values of the `mode` attribute; anything else falls back to 'split'.
+ */
+const PANEL_MODES = ['split', 'diagram-only', 'editor-only'];
+
+/**
+ * Bounds, in percent of the viewer, for the editor's share of a split view.
+ */
+const MIN_EDITOR_SIZE = 10;
+const MAX_EDITOR_SIZE = 90;
 
 /**
  * Custom element that provides an interactive DBML editor with real-time diagram visualization.
@@ -7,6 +38,7 @@ import { DiagramRenderer } from './diagram/DiagramRenderer.js';
 class DbDiagramViewer extends HTMLElement {
   constructor() {
     super();
+    this.attachShadow({ mode: 'open' });
     this.editor = null;
     this.diagramRenderer = null;
     this._currentDbml = '';
@@ -17,36 +49,78 @@ class DbDiagramViewer extends HTMLElement {
    * Sets up the editor, diagram, and navigation controls.
    */
   connectedCallback() {
-    if (!window.ace) {
-      console.error('ACE editor not loaded');
-      return;
-    }
-    
+    const isReconnect = Boolean(this.widgetId);
+    this.teardown();
     this.widgetId = this.id || `widget-${Math.random().toString(36).substr(2, 9)}`;
+    this._listeners = new AbortController();
     
-    this.innerHTML = `
+    this.shadowRoot.innerHTML = `
       <style>
         ${this.getStyles()}
       </style>
-      <div class="db-widget-container" style="display: flex; height: ${this.getAttribute('height') || '400px'}; border: 1px solid #ddd; border-radius: 4px; overflow: hidden;">
-        <div class="editor-panel" style="width: 50%; border-right: 1px solid #ddd; display: flex; flex-direction: column;">
-          <div class="editor-header" style="background: #f5f5f5; padding: 8px 12px; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 14px;">
-            DBML Editor
+      <div class="db-widget-container" part="container" style="height: ${this.getAttribute('height') || '400px'};">
+        <div id="editor-panel-${this.widgetId}" class="editor-panel" part="editor-panel">
+          <div class="editor-header" part="editor-header">
+            <span>DBML Editor</span>
+            <button id="import-sql-${this.widgetId}" class="header-btn" part="header-button" type="button" aria-haspopup="dialog">Import SQL</button>
           </div>
-          <div id="ace-editor-${this.widgetId}" style="flex: 1;"></div>
+          <div id="ace-editor-${this.widgetId}" class="editor" part="editor"></div>
         </div>
-        <div class="diagram-panel" style="flex: 1; background: #fafafa; display: flex; flex-direction: column;">
-          <div class="diagram-header" style="background: #f5f5f5; padding: 8px 12px; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 14px;">
-            Database Diagram
+        <div id="splitter-${this.widgetId}" class="panel-splitter" part="splitter" role="separator" tabindex="0" aria-controls="editor-panel-${this.widgetId}" aria-label="Resize editor"></div>
+        <div class="diagram-panel" part="diagram-panel">
+          <div class="diagram-header" part="diagram-header">
+            <span>Database Diagram</span>
+            <span class="header-actions">
+              <button id="toggle-editor-${this.widgetId}" class="header-btn editor-toggle" part="header-button" type="button" aria-expanded="true" aria-controls="editor-panel-${this.widgetId}">Hide editor</button>
+              <button id="view-outline-${this.widgetId}" class="header-btn" part="header-button" type="button" aria-expanded="false" aria-controls="outline-panel-${this.widgetId}">Outline</button>
+              <button id="view-sql-${this.widgetId}" class="header-btn" part="header-button" type="button" aria-expanded="false" aria-controls="sql-panel-${this.widgetId}">View SQL</button>
+            </span>
           </div>
-          <div id="diagram-container-${this.widgetId}" style="flex: 1; position: relative; overflow: hidden;">
-            <div class="zoom-controls" style="position: absolute; top: 10px; right: 10px; display: flex; flex-direction: column; gap: 5px; z-index: 100;">
-              <button id="zoom-in-${this.widgetId}" class="zoom-btn" title="Zoom In">+</button>
+          <div id="diagram-container-${this.widgetId}" class="diagram-container" part="diagram">
+            <div class="zoom-controls" part="controls">
+              <button id="zoom-in-${this.widgetId}" class="zoom-btn" part="control-button" title="Zoom In (+)" aria-label="Zoom in" aria-keyshortcuts="+">+</button>
               <div id="zoom-display-${this.widgetId}" class="zoom-display" title="Current Zoom Level">100%</div>
-              <button id="zoom-standard-${this.widgetId}" class="zoom-btn zoom-btn-std" title="Standard Zoom (100%)">1:1</button>
-              <button id="zoom-out-${this.widgetId}" class="zoom-btn" title="Zoom Out">−</button>
-              <button id="pan-btn-${this.widgetId}" class="zoom-btn pan-btn" title="Toggle Pan Mode">🤏</button>
-              <button id="reset-zoom-${this.widgetId}" class="zoom-btn" title="Reset Zoom & Position">⌂</button>
+              <button id="zoom-standard-${this.widgetId}" class="zoom-btn zoom-btn-std" part="control-button" title="Standard Zoom (100%) (1)" aria-label="Zoom to 100%" aria-keyshortcuts="1">1:1</button>
+              <button id="zoom-out-${this.widgetId}" class="zoom-btn" part="control-button" title="Zoom Out (−)" aria-label="Zoom out" aria-keyshortcuts="-">−</button>
+              <button id="pan-btn-${this.widgetId}" class="zoom-btn pan-btn" part="control-button" title="Toggle Pan Mode" aria-label="Pan mode" aria-pressed="false">🤏</button>
+              <button id="reset-zoom-${this.widgetId}" class="zoom-btn" part="control-button" title="Reset Zoom & Position (0)" aria-label="Reset zoom and position" aria-keyshortcuts="0">⌂</button>
+              <button id="relayout-${this.widgetId}" class="zoom-btn" part="control-button" title="Re-layout" aria-label="Re-layout" aria-haspopup="menu" aria-expanded="false">⟳</button>
+              <div id="layout-menu-${this.widgetId}" class="control-menu" part="menu" role="menu" hidden></div>
+              <button id="export-${this.widgetId}" class="zoom-btn" part="control-button" title="Download" aria-label="Download" aria-haspopup="menu" aria-expanded="false">⤓</button>
+              <div id="export-menu-${this.widgetId}" class="control-menu" part="menu" role="menu" hidden></div>
+            </div>
+            <div id="sql-panel-${this.widgetId}" class="sql-panel" part="sql-panel" role="region" aria-label="SQL" hidden>
+              <div class="sql-panel__toolbar">
+                <select id="sql-dialect-${this.widgetId}" aria-label="SQL dialect">
+                  <option value="">Project default</option>
+                  <option value="postgres">PostgreSQL</option>
+                  <option value="mysql">MySQL</option>
+                  <option value="sqlite">SQLite</option>
+                </select>
+                <button id="sql-copy-${this.widgetId}" class="header-btn" part="header-button" type="button">Copy</button>
+                <button id="sql-close-${this.widgetId}" class="header-btn" part="header-button" type="button" title="Close">✕</button>
+              </div>
+              <pre id="sql-output-${this.widgetId}" class="sql-panel__output"></pre>
+            </div>
+            <div id="outline-panel-${this.widgetId}" class="outline-panel" part="outline-panel" role="region" aria-label="Schema outline" hidden>
+              <div class="outline-panel__toolbar">
+                <span class="outline-panel__title">Schema outline</span>
+                <button id="outline-close-${this.widgetId}" class="header-btn" part="header-button" type="button" title="Close" aria-label="Close outline">✕</button>
+              </div>
+              <div id="outline-output-${this.widgetId}" class="outline-panel__content"></div>
+            </div>
+          </div>
+        </div>
+        <div id="sql-import-${this.widgetId}" class="sql-import-dialog" part="sql-import-dialog" role="dialog" aria-modal="true" aria-labelledby="sql-import-title-${this.widgetId}" hidden>
+          <div class="sql-import-dialog__box">
+            <div id="sql-import-title-${this.widgetId}" class="sql-import-dialog__title">Import SQL</div>
+            <p class="sql-import-dialog__hint">Paste CREATE TABLE, CREATE INDEX, CREATE TYPE and ALTER TABLE statements, or drop a .sql file anywhere on the viewer. The editor content is replaced.</p>
+            <textarea id="sql-import-input-${this.widgetId}" spellcheck="false" aria-label="SQL to import"></textarea>
+            <div id="sql-import-error-${this.widgetId}" class="sql-import-dialog__error" role="alert"></div>
+            <div class="sql-import-dialog__actions">
+              <label class="header-btn" part="header-button">Choose file…<input id="sql-import-file-${this.widgetId}" type="file" accept=".sql,text/plain,application/sql" hidden></label>
+              <button id="sql-import-cancel-${this.widgetId}" class="header-btn" part="header-button" type="button">Cancel</button>
+              <button id="sql-import-confirm-${this.widgetId}" class="header-btn header-btn--primary" part="header-button" type="button">Import</button>
             </div>
           </div>
         </div>
@@ -54,97 +128,498 @@ class DbDiagramViewer extends HTMLElement {
     `;
     
     this.isPanModeActive = false;
+    // A viewer that is moved keeps what was typed into it
+    if (!isReconnect) {
+      this._currentDbml = this.getAttribute('dbml') || this.getDefaultDbml();
+    }
     
-    this.initEditor();
+    this.updatePanelLayout();
     this.initDiagram();
     
-    setTimeout(() => {
+    this._initTimer = setTimeout(() => {
+      this.initPanelControls();
       this.initZoomControls();
+      this.initLayoutControls();
+      this.initExportControls();
+      this.initSqlPanel();
+      this.initOutlinePanel();
+      this.initSqlImport();
       this.initPanMode();
     }, 0);
   }
   
   /**
-   * Returns CSS styles for the widget components.
+   * Returns CSS styles for the widget components. They live in the shadow root; pages
+   * restyle the viewer through the `--db-viewer-*` custom properties and `::part()`.
    */
   getStyles() {
     return `
+      :host {
+        display: block;
+      }
+      
+      :host([hidden]) {
+        display: none;
+      }
+      
       .db-widget-container * {
         box-sizing: border-box;
       }
       
+      .db-widget-container {
+        display: flex;
+        border: 1px solid var(--db-viewer-border-color, #ddd);
+        border-radius: var(--db-viewer-border-radius, 4px);
+        overflow: hidden;
+      }
+      
+      .editor-panel, .diagram-panel {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+        min-height: 0;
+      }
+      
+      .diagram-panel {
+        flex: 1;
+        background: #fafafa;
+      }
+      
+      .editor, .diagram-container {
+        flex: 1;
+      }
+      
+      .diagram-container {
+        position: relative;
+        overflow: hidden;
+      }
+      
       .editor-header, .diagram-header {
-        font-family: Arial, sans-serif;
-        color: #333;
+        background: var(--db-viewer-header-background, #f5f5f5);
+        padding: 8px 12px;
+        border-bottom: 1px solid var(--db-viewer-border-color, #ddd);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        font-weight: bold;
+        font-size: 14px;
+        color: var(--db-viewer-header-color, #333);
+        user-select: none;
+      }
+      
+      .editor-header, .diagram-header {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      }
+      
+      .zoom-controls {
+        position: absolute;
+        top: 10px;
+        right: 10px;
+        display: flex;
+        flex-direction: column;
+        gap: 5px;
+        z-index: 100;
+      }
+      
+      .header-actions {
+        display: flex;
+        gap: 6px;
+      }
+      
+      .header-btn {
+        padding: 2px 8px;
+        border: 1px solid #ccc;
+        background: white;
+        border-radius: 4px;
+        font-size: 12px;
+        font-weight: normal;
+        cursor: pointer;
+      }
+      
+      .header-btn:hover,
+      .header-btn[aria-expanded="true"] {
+        background: #e3f2fd;
+        border-color: var(--db-viewer-accent-color, #2196f3);
+      }
+      
+      .header-btn--primary {
+        background: var(--db-viewer-accent-color, #2196f3);
+        border-color: var(--db-viewer-accent-hover-color, #1976d2);
+        color: white;
+      }
+      
+      .header-btn--primary:hover {
+        background: var(--db-viewer-accent-hover-color, #1976d2);
+      }
+      
+      .db-widget-container {
+        position: relative;
+      }
+      
+      .db-widget-container--vertical {
+        flex-direction: column;
+      }
+      
+      .panel-splitter {
+        flex: 0 0 5px;
+        touch-action: none;
+        background: #e0e0e0;
+        cursor: col-resize;
+        transition: background 0.2s ease;
+      }
+      
+      .db-widget-container--vertical .panel-splitter {
+        cursor: row-resize;
+      }
+      
+      .panel-splitter:hover,
+      .panel-splitter:focus-visible,
+      .db-widget-container--resizing .panel-splitter {
+        background: #90caf9;
+        outline: none;
+      }
+      
+      .db-widget-container--resizing {
+        cursor: col-resize;
         user-select: none;
       }
       
+      .db-widget-container--vertical.db-widget-container--resizing {
+        cursor: row-resize;
+      }
+      
+      .db-widget-container--diagram-only .editor-panel,
+      .db-widget-container--diagram-only .panel-splitter,
+      .db-widget-container--diagram-only .editor-toggle,
+      .db-widget-container--editor-only .diagram-panel,
+      .db-widget-container--editor-only .panel-splitter,
+      .db-widget-container--editor-collapsed .editor-panel,
+      .db-widget-container--editor-collapsed .panel-splitter {
+        display: none !important;
+      }
+      
+      .db-widget-container--dragover::after {
+        content: 'Drop a .sql file to import it';
+        position: absolute;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(33,150,243,0.12);
+        border: 2px dashed var(--db-viewer-accent-color, #2196f3);
+        color: var(--db-viewer-accent-hover-color, #1976d2);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        font-size: 16px;
+        pointer-events: none;
+        z-index: 300;
+      }
+      
+      .sql-import-dialog {
+        position: absolute;
+        inset: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: rgba(0,0,0,0.3);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        z-index: 200;
+      }
+      
+      .sql-import-dialog[hidden] {
+        display: none;
+      }
+      
+      .sql-import-dialog__box {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+        width: min(560px, 90%);
+        max-height: 90%;
+        padding: 12px 16px;
+        background: white;
+        border-radius: 4px;
+        box-shadow: 0 4px 16px rgba(0,0,0,0.25);
+      }
+      
+      .sql-import-dialog__title {
+        font-weight: bold;
+        font-size: 14px;
+        color: #333;
+      }
+      
+      .sql-import-dialog__hint {
+        margin: 0;
+        font-size: 12px;
+        color: #666;
+      }
+      
+      .sql-import-dialog textarea {
+        flex: 1;
+        min-height: 160px;
+        resize: vertical;
+        font-family: Menlo, Consolas, monospace;
+        font-size: 12px;
+      }
+      
+      .sql-import-dialog__error {
+        font-size: 12px;
+        color: #b71c1c;
+      }
+      
+      .sql-import-dialog__error:empty {
+        display: none;
+      }
+      
+      .sql-import-dialog__actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 6px;
+      }
+      
+      .sql-panel, .outline-panel {
+        position: absolute;
+        top: 10px;
+        left: 10px;
+        right: 52px;
+        bottom: 10px;
+        display: flex;
+        flex-direction: column;
+        background: white;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        z-index: 101;
+      }
+      
+      .sql-panel[hidden], .outline-panel[hidden] {
+        display: none;
+      }
+      
+      .sql-panel__toolbar, .outline-panel__toolbar {
+        display: flex;
+        gap: 6px;
+        padding: 6px 8px;
+        border-bottom: 1px solid #eee;
+        background: #f5f5f5;
+      }
+      
+      .sql-panel__toolbar select {
+        margin-right: auto;
+        font-size: 12px;
+      }
+      
+      .sql-panel__output {
+        flex: 1;
+        margin: 0;
+        padding: 8px 12px;
+        overflow: auto;
+        font-family: Menlo, Consolas, monospace;
+        font-size: 12px;
+        line-height: 1.5;
+        color: #263238;
+        white-space: pre;
+      }
+      
+      .outline-panel__toolbar {
+        align-items: center;
+        justify-content: space-between;
+      }
+      
+      .outline-panel__title {
+        font-size: 13px;
+        font-weight: bold;
+        color: var(--db-viewer-header-color, #333);
+      }
+      
+      .outline-panel__content {
+        flex: 1;
+        padding: 4px 12px 12px;
+        overflow: auto;
+        font-size: 13px;
+        line-height: 1.5;
+        color: #263238;
+      }
+      
+      .outline-panel__content--error {
+        color: #b71c1c;
+        white-space: pre-wrap;
+      }
+      
+      .schema-outline__heading {
+        margin: 12px 0 4px;
+        font-size: 13px;
+      }
+      
+      .schema-outline ul {
+        margin: 0;
+        padding-left: 20px;
+      }
+      
+      .schema-outline__summary,
+      .schema-outline__note {
+        margin: 4px 0;
+      }
+      
+      .schema-outline__note {
+        color: #666;
+      }
+      
+      .schema-outline__table {
+        margin-bottom: 6px;
+      }
+      
+      .schema-outline__title {
+        display: flex;
+        align-items: baseline;
+        gap: 8px;
+        font-weight: bold;
+      }
+      
+      .schema-outline__show {
+        padding: 0;
+        border: none;
+        background: none;
+        color: var(--db-viewer-accent-hover-color, #1976d2);
+        font-size: 12px;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      
+      .sql-panel__output.sql-panel__output--error {
+        color: #b71c1c;
+        white-space: pre-wrap;
+      }
+      
       .db-chart {
         background: #fafafa;
         width: 100%;
         height: 100%;
       }
       
-      .db-table {
-        cursor: pointer;
-        transition: all 0.2s ease;
+      .db-chart__bg {
+        fill: var(--db-viewer-diagram-background, #ffffff);
       }
       
-      .db-table:hover {
-        filter: drop-shadow(0 4px 8px rgba(0,0,0,0.1));
+      .db-chart:focus,
+      .db-table:focus,
+      .db-field:focus {
+        outline: none;
       }
       
-      .db-table-header__name {
-        font-family: Arial, sans-serif;
-        font-size: 14px;
-        font-weight: bold;
-        fill: white;
-        user-select: none;
-        pointer-events: none;
+      .db-chart:focus-visible {
+        outline: 2px solid var(--db-viewer-accent-color, #2196f3);
+        outline-offset: -2px;
+      }
+      
+      .db-table:focus-visible .db-table__background {
+        stroke: var(--db-viewer-accent-color, #2196f3);
+        stroke-width: 4;
+      }
+      
+      .db-field:focus-visible > rect:first-child {
+        fill: #e3f2fd;
+        stroke: var(--db-viewer-accent-color, #2196f3);
+        stroke-width: 1.5;
       }
       
-      .db-field__name {
-        font-family: Arial, sans-serif;
+      .db-schema-legend {
+        position: absolute;
+        top: 10px;
+        left: 10px;
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        padding: 6px 10px;
+        background: rgba(255,255,255,0.95);
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
         font-size: 12px;
-        fill: #333;
-        pointer-events: none;
-        user-select: none;
+        color: #333;
+        z-index: 100;
       }
       
-      .db-field__type {
-        font-family: Arial, sans-serif;
-        font-size: 11px;
-        fill: #666;
-        pointer-events: none;
+      .db-schema-legend__item {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        cursor: pointer;
         user-select: none;
       }
       
-      .db-field:hover rect {
-        fill: #e3f2fd !important;
+      .db-schema-legend__swatch {
+        width: 10px;
+        height: 10px;
+        border-radius: 2px;
+      }
+      
+      .db-tooltip {
+        position: absolute;
+        display: none;
+        max-width: 280px;
+        padding: 8px 10px;
+        background: #263238;
+        color: #eceff1;
+        border-radius: 4px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.2);
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        font-size: 12px;
+        line-height: 1.4;
+        pointer-events: none;
+        z-index: 101;
       }
       
-      .db-table__dragging {
-        opacity: 0.8;
-        filter: drop-shadow(0 8px 16px rgba(0,0,0,0.2));
+      .db-tooltip__title {
+        font-weight: bold;
       }
       
-      .db-ref__path {
-        stroke: #666;
-        stroke-width: 2;
-        fill: none;
-        pointer-events: stroke;
-        cursor: pointer;
+      .db-tooltip__constraints {
+        color: #b0bec5;
+        font-size: 11px;
       }
       
-      .db-ref__path:hover {
-        stroke: #2196F3;
-        stroke-width: 3;
+      .db-tooltip__note {
+        margin-top: 4px;
+        white-space: pre-wrap;
       }
       
+      ${this.getDiagramStyles()}
+      
       .ace_editor {
         font-size: 14px !important;
       }
       
+      .ace-dbml-error {
+        position: absolute;
+        background: url("data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='6' height='3'%3E%3Cpath d='M0 3 L1.5 0 L3 3 L4.5 0 L6 3' fill='none' stroke='%23ff5252' stroke-width='0.8'/%3E%3C/svg%3E") repeat-x bottom left;
+      }
+      
+      .diagram--stale svg.db-chart {
+        opacity: 0.35;
+        filter: grayscale(0.6);
+        transition: opacity 0.2s ease;
+      }
+      
+      .diagram-error-banner {
+        display: none;
+        position: absolute;
+        left: 10px;
+        right: 52px;
+        bottom: 10px;
+        padding: 8px 12px;
+        background: #fdecea;
+        border: 1px solid #f5c6cb;
+        border-left: 4px solid #d32f2f;
+        border-radius: 4px;
+        color: #b71c1c;
+        font-family: var(--db-viewer-font-family, Arial, sans-serif);
+        font-size: 13px;
+        cursor: pointer;
+        z-index: 100;
+      }
+      
       .zoom-btn {
         width: 32px;
         height: 32px;
@@ -170,6 +645,42 @@ class DbDiagramViewer extends HTMLElement {
         box-shadow: 0 1px 2px rgba(0,0,0,0.1);
       }
       
+      .control-menu {
+        position: absolute;
+        right: 40px;
+        min-width: 110px;
+        background: white;
+        border: 1px solid #ccc;
+        border-radius: 4px;
+        box-shadow: 0 4px 8px rgba(0,0,0,0.15);
+        padding: 4px 0;
+      }
+      
+      .control-menu[hidden] {
+        display: none;
+      }
+      
+      .control-menu button {
+        display: block;
+        width: 100%;
+        padding: 6px 12px;
+        border: none;
+        background: none;
+        text-align: left;
+        font-size: 12px;
+        cursor: pointer;
+        text-transform: capitalize;
+      }
+      
+      .control-menu button:hover {
+        background: #f5f5f5;
+      }
+      
+      .control-menu button[aria-checked="true"] {
+        font-weight: bold;
+        color: var(--db-viewer-accent-hover-color, #1976d2);
+      }
+      
       .zoom-btn-std {
         font-size: 11px;
         font-weight: bold;
@@ -198,35 +709,106 @@ class DbDiagramViewer extends HTMLElement {
       
       .pan-btn:hover {
         background: #e3f2fd;
-        border-color: #2196f3;
+        border-color: var(--db-viewer-accent-color, #2196f3);
       }
       
       .pan-btn.active {
-        background: #2196f3;
+        background: var(--db-viewer-accent-color, #2196f3);
         color: white;
-        border-color: #1976d2;
+        border-color: var(--db-viewer-accent-hover-color, #1976d2);
       }
       
       .pan-btn.active:hover {
-        background: #1976d2;
+        background: var(--db-viewer-accent-hover-color, #1976d2);
       }
     `;
   }
   
+  /**
+   * CSS for the SVG diagram itself. Also embedded in exported SVG files.
+   */
+  getDiagramStyles() {
+    return DIAGRAM_STYLES;
+  }
+  
+  /**
+   * Returns the `mode` attribute: 'split', 'diagram-only' or 'editor-only'.
+   */
+  getMode() {
+    const mode = this.getAttribute('mode');
+    return PANEL_MODES.includes(mode) ? mode : 'split';
+  }
+  
+  /**
+   * Returns the editor's share of a split view in percent, from the `editor-size` attribute.
+   */
+  getEditorSize() {
+    const size = parseFloat(this.getAttribute('editor-size'));
+    if (Number.isNaN(size)) return 50;
+    return Math.min(MAX_EDITOR_SIZE, Math.max(MIN_EDITOR_SIZE, size));
+  }
+  
+  /**
+   * Applies the `mode`, `orientation`, `editor-size` and `editor-collapsed` attributes to
+   * the panels. The ACE editor is only created once the editor panel is first shown, so
+   * a diagram-only viewer works without ACE on the page.
+   */
+  updatePanelLayout() {
+    const elementId = this.widgetId;
+    const container = this.shadowRoot.querySelector('.db-widget-container');
+    const editorPanel = this.shadowRoot.querySelector(`#editor-panel-${elementId}`);
+    if (!container || !editorPanel) return;
+    
+    const mode = this.getMode();
+    const vertical = this.getAttribute('orientation') === 'vertical';
+    const collapsed = mode === 'split' && this.hasAttribute('editor-collapsed');
+    const size = this.getEditorSize();
+    
+    container.classList.toggle('db-widget-container--vertical', vertical);
+    container.classList.toggle('db-widget-container--diagram-only', mode === 'diagram-only');
+    container.classList.toggle('db-widget-container--editor-only', mode === 'editor-only');
+    container.classList.toggle('db-widget-container--editor-collapsed', collapsed);
+    editorPanel.style.flex = mode === 'editor-only' ? '1 1 auto' : `0 0 ${size}%`;
+    
+    const splitter = this.shadowRoot.querySelector(`#splitter-${elementId}`);
+    if (splitter) {
+      splitter.setAttribute('aria-orientation', vertical ? 'horizontal' : 'vertical');
+      splitter.setAttribute('aria-valuenow', String(Math.round(size)));
+      splitter.setAttribute('aria-valuemin', String(MIN_EDITOR_SIZE));
+      splitter.setAttribute('aria-valuemax', String(MAX_EDITOR_SIZE));
+    }
+    
+    const toggleBtn = this.shadowRoot.querySelector(`#toggle-editor-${elementId}`);
+    if (toggleBtn) {
+      toggleBtn.textContent = collapsed ? 'Show editor' : 'Hide editor';
+      toggleBtn.setAttribute('aria-expanded', String(!collapsed));
+    }
+    
+    if (mode !== 'diagram-only' && !collapsed && !this.editor && this.isConnected) {
+      this.initEditor();
+    }
+    if (this.editor) {
+      this.editor.resize();
+    }
+  }
+  
   /**
    * Initializes the ACE editor with DBML syntax highlighting and change detection.
    */
   initEditor() {
     const editorId = `ace-editor-${this.widgetId}`;
     
+    if (!window.ace) {
+      console.error('ACE editor not loaded');
+      return;
+    }
+    
     try {
-      this.editor = ace.edit(editorId);
+      this.editor = ace.edit(this.shadowRoot.getElementById(editorId));
+      this.editor.renderer.attachToShadowRoot?.();
       this.editor.setTheme(`ace/theme/${this.getAttribute('theme') || 'dracula'}`);
       this.editor.session.setMode('ace/mode/dbml');
-      
-      const initialDbml = this.getAttribute('dbml') || this.getDefaultDbml();
-      this.editor.setValue(initialDbml, -1);
-      this._currentDbml = initialDbml;
+      this.editor.setValue(this._currentDbml, -1);
       
       this.editor.setOptions({
         fontSize: '14px',
@@ -239,35 +821,143 @@ class DbDiagramViewer extends HTMLElement {
       const isEditable = this.getAttribute('editable') !== 'false';
       this.editor.setReadOnly(!isEditable);
       
-      let timeout;
       this.editor.on('change', () => {
-        clearTimeout(timeout);
-        timeout = setTimeout(() => {
+        clearTimeout(this._changeTimer);
+        this._changeTimer = setTimeout(() => {
+          this._changeTimer = null;
           this.onDbmlChange();
         }, 300);
       });
+      
+      this.setEditorDiagnostics(this._lastError);
     } catch (error) {
       console.error('Failed to initialize ACE editor:', error);
     }
   }
   
   /**
-   * Initializes the diagram renderer and sets up zoom change callbacks.
+   * Initializes the diagram renderer and sets up zoom change callbacks.
+   */
+  initDiagram() {
+    const containerId = `diagram-container-${this.widgetId}`;
+    const container = this.shadowRoot.getElementById(containerId);
+    
+    if (container) {
+      const positionStore = this.getPositionStore();
+      this.diagramRenderer = new DiagramRenderer(container, {
+        showIndexes: this.getAttribute('show-indexes') !== 'false',
+        layout: this.getAttribute('layout') || 'layered',
+        transitions: this.getAttribute('transitions') !== 'false',
+        positions: positionStore ? positionStore.load() : null
+      });
+      
+      this.diagramRenderer.onZoomChange = (zoom) => {
+        this.updateZoomDisplay(zoom);
+      };
+      
+      this.diagramRenderer.onLayoutChange = (positions) => {
+        this.onLayoutChange(positions);
+      };
+      
+      this.updateZoomDisplay(1.0);
+      this.renderDiagram();
+    }
+  }
+
+  /**
+   * Picks where table positions are persisted: an assigned `positionStore`, localStorage
+   * keyed by the element id when `persist-layout` is set, or the `positions` attribute.
+   */
+  getPositionStore() {
+    if (this.positionStore) {
+      return this.positionStore;
+    }
+    if (this.hasAttribute('persist-layout') && this.id) {
+      return new LocalStoragePositionStore(`db-diagram-viewer:${this.id}:positions`);
+    }
+    if (this.hasAttribute('positions')) {
+      return new AttributePositionStore(this, 'positions');
+    }
+    return null;
+  }
+  
+  /**
+   * Saves positions after a drag, re-layout or newly placed table and fires `layout-change`.
+   */
+  onLayoutChange(positions) {
+    const positionStore = this.getPositionStore();
+    if (positionStore) {
+      this._savingPositions = true;
+      positionStore.save(positions);
+      this._savingPositions = false;
+    }
+    
+    this.dispatchEvent(new CustomEvent('layout-change', {
+      detail: { positions },
+      bubbles: true
+    }));
+  }
+
+  /**
+   * Initializes the splitter, which resizes the editor when dragged or moved with the
+   * arrow keys, and the button that collapses the editor.
+   */
+  initPanelControls() {
+    const elementId = this.widgetId;
+    const container = this.shadowRoot.querySelector('.db-widget-container');
+    const splitter = this.shadowRoot.querySelector(`#splitter-${elementId}`);
+    
+    const toggleBtn = this.shadowRoot.querySelector(`#toggle-editor-${elementId}`);
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => this.toggleEditor());
+    }
+    
+    if (!container || !splitter) return;
+    
+    splitter.addEventListener('pointerdown', (e) => {
+      if (!e.isPrimary || e.button !== 0) return;
+      e.preventDefault();
+      splitter.setPointerCapture(e.pointerId);
+      container.classList.add('db-widget-container--resizing');
+    });
+    
+    splitter.addEventListener('pointermove', (e) => {
+      if (!splitter.hasPointerCapture(e.pointerId)) return;
+      const rect = container.getBoundingClientRect();
+      const vertical = this.getAttribute('orientation') === 'vertical';
+      const offset = vertical ? e.clientY - rect.top : e.clientX - rect.left;
+      const total = vertical ? rect.height : rect.width;
+      if (total > 0) {
+        this.setEditorSize(offset / total * 100);
+      }
+    });
+    
+    splitter.addEventListener('lostpointercapture', () => {
+      container.classList.remove('db-widget-container--resizing');
+    });
+    
+    splitter.addEventListener('keydown', (e) => {
+      const step = { ArrowLeft: -5, ArrowUp: -5, ArrowRight: 5, ArrowDown: 5 }[e.key];
+      if (!step) return;
+      e.preventDefault();
+      this.setEditorSize(this.getEditorSize() + step);
+    });
+  }
+  
+  /**
+   * Sets the editor's share of a split view, in percent, through the `editor-size` attribute.
    */
-  initDiagram() {
-    const containerId = `diagram-container-${this.widgetId}`;
-    const container = document.getElementById(containerId);
-    
-    if (container) {
-      this.diagramRenderer = new DiagramRenderer(container);
-      
-      this.diagramRenderer.onZoomChange = (zoom) => {
-        this.updateZoomDisplay(zoom);
-      };
-      
-      this.updateZoomDisplay(1.0);
-      this.renderDiagram();
-    }
+  setEditorSize(size) {
+    const clamped = Math.min(MAX_EDITOR_SIZE, Math.max(MIN_EDITOR_SIZE, size));
+    this.setAttribute('editor-size', `${Math.round(clamped * 10) / 10}%`);
+  }
+  
+  /**
+   * Collapses or expands the editor of a split view; toggles when `visible` is omitted.
+   */
+  toggleEditor(visible) {
+    const collapsed = visible === undefined ? !this.hasAttribute('editor-collapsed') : !visible;
+    this.toggleAttribute('editor-collapsed', collapsed);
   }
 
   /**
@@ -276,7 +966,7 @@ class DbDiagramViewer extends HTMLElement {
   initZoomControls() {
     const elementId = this.widgetId;
     
-    const zoomInBtn = this.querySelector(`#zoom-in-${elementId}`);
+    const zoomInBtn = this.shadowRoot.querySelector(`#zoom-in-${elementId}`);
     if (zoomInBtn) {
       zoomInBtn.addEventListener('click', () => {
         if (this.diagramRenderer) {
@@ -285,7 +975,7 @@ class DbDiagramViewer extends HTMLElement {
       });
     }
     
-    const zoomOutBtn = this.querySelector(`#zoom-out-${elementId}`);
+    const zoomOutBtn = this.shadowRoot.querySelector(`#zoom-out-${elementId}`);
     if (zoomOutBtn) {
       zoomOutBtn.addEventListener('click', () => {
         if (this.diagramRenderer) {
@@ -294,7 +984,7 @@ class DbDiagramViewer extends HTMLElement {
       });
     }
     
-    const standardZoomBtn = this.querySelector(`#zoom-standard-${elementId}`);
+    const standardZoomBtn = this.shadowRoot.querySelector(`#zoom-standard-${elementId}`);
     if (standardZoomBtn) {
       standardZoomBtn.addEventListener('click', () => {
         if (this.diagramRenderer) {
@@ -303,7 +993,7 @@ class DbDiagramViewer extends HTMLElement {
       });
     }
     
-    const resetZoomBtn = this.querySelector(`#reset-zoom-${elementId}`);
+    const resetZoomBtn = this.shadowRoot.querySelector(`#reset-zoom-${elementId}`);
     if (resetZoomBtn) {
       resetZoomBtn.addEventListener('click', () => {
         if (this.diagramRenderer) {
@@ -313,30 +1003,367 @@ class DbDiagramViewer extends HTMLElement {
     }
   }
 
+  /**
+   * Initializes the re-layout button and its menu of registered layout strategies.
+   * Picking the current strategy runs it again; picking another sets the `layout` attribute.
+   */
+  initLayoutControls() {
+    const elementId = this.widgetId;
+    this.bindControlMenu(
+      this.shadowRoot.querySelector(`#relayout-${elementId}`),
+      this.shadowRoot.querySelector(`#layout-menu-${elementId}`),
+      () => {
+        const current = this.getAttribute('layout') || 'layered';
+        return DiagramRenderer.getLayoutNames()
+          .map(name => `<button type="button" role="menuitemradio" aria-checked="${name === current}" data-value="${name}">${name}</button>`)
+          .join('');
+      },
+      (name) => {
+        if (name === (this.getAttribute('layout') || 'layered')) {
+          if (this.diagramRenderer) {
+            this.diagramRenderer.relayout();
+          }
+        } else {
+          this.setAttribute('layout', name);
+        }
+      }
+    );
+  }
+  
+  /**
+   * Initializes the download button and its menu of export formats.
+   */
+  initExportControls() {
+    const elementId = this.widgetId;
+    this.bindControlMenu(
+      this.shadowRoot.querySelector(`#export-${elementId}`),
+      this.shadowRoot.querySelector(`#export-menu-${elementId}`),
+      () => Object.entries(EXPORT_FORMATS)
+        .map(([format, { label }]) => `<button type="button" role="menuitem" data-value="${format}">${label}</button>`)
+        .join(''),
+      (format) => this.downloadExport(format)
+    );
+  }
+  
+  /**
+   * Initializes the "View SQL" panel, which shows the current DBML as DDL for the
+   * chosen dialect and follows edits while it is open.
+   */
+  initSqlPanel() {
+    const elementId = this.widgetId;
+    const toggleBtn = this.shadowRoot.querySelector(`#view-sql-${elementId}`);
+    const dialectSelect = this.shadowRoot.querySelector(`#sql-dialect-${elementId}`);
+    const copyBtn = this.shadowRoot.querySelector(`#sql-copy-${elementId}`);
+    const closeBtn = this.shadowRoot.querySelector(`#sql-close-${elementId}`);
+    
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => this.toggleSqlPanel());
+    }
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.toggleSqlPanel(false));
+    }
+    if (dialectSelect) {
+      dialectSelect.addEventListener('change', () => this.updateSqlPanel());
+    }
+    if (copyBtn) {
+      copyBtn.addEventListener('click', () => {
+        const output = this.shadowRoot.querySelector(`#sql-output-${elementId}`);
+        if (!output || !navigator.clipboard) return;
+        navigator.clipboard.writeText(output.textContent).then(() => {
+          copyBtn.textContent = 'Copied';
+          setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+        }).catch(error => {
+          console.error('Copying SQL failed:', error);
+        });
+      });
+    }
+  }
+  
+  toggleSqlPanel(open) {
+    const elementId = this.widgetId;
+    const panel = this.shadowRoot.querySelector(`#sql-panel-${elementId}`);
+    if (!panel) return;
+    
+    panel.hidden = open === undefined ? !panel.hidden : !open;
+    const toggleBtn = this.shadowRoot.querySelector(`#view-sql-${elementId}`);
+    if (toggleBtn) {
+      toggleBtn.setAttribute('aria-expanded', String(!panel.hidden));
+    }
+    if (!panel.hidden) {
+      this.toggleOutlinePanel(false);
+    }
+    this.updateSqlPanel();
+  }
+  
+  updateSqlPanel() {
+    const elementId = this.widgetId;
+    const panel = this.shadowRoot.querySelector(`#sql-panel-${elementId}`);
+    const output = this.shadowRoot.querySelector(`#sql-output-${elementId}`);
+    if (!panel || panel.hidden || !output) return;
+    
+    const dialectSelect = this.shadowRoot.querySelector(`#sql-dialect-${elementId}`);
+    try {
+      output.textContent = this.toSQL(dialectSelect ? dialectSelect.value : undefined);
+      output.classList.remove('sql-panel__output--error');
+    } catch (error) {
+      output.textContent = this.formatError(error);
+      output.classList.add('sql-panel__output--error');
+    }
+  }
+  
+  /**
+   * Initializes the "Outline" panel, a text alternative to the diagram that lists the
+   * tables, columns, relationships and enums. "Show in diagram" focuses the table.
+   */
+  initOutlinePanel() {
+    const elementId = this.widgetId;
+    const panel = this.shadowRoot.querySelector(`#outline-panel-${elementId}`);
+    const toggleBtn = this.shadowRoot.querySelector(`#view-outline-${elementId}`);
+    const closeBtn = this.shadowRoot.querySelector(`#outline-close-${elementId}`);
+    if (!panel) return;
+    
+    if (toggleBtn) {
+      toggleBtn.addEventListener('click', () => this.toggleOutlinePanel());
+    }
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => {
+        this.toggleOutlinePanel(false);
+        toggleBtn?.focus();
+      });
+    }
+    panel.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.toggleOutlinePanel(false);
+        toggleBtn?.focus();
+      }
+    });
+    panel.addEventListener('click', (e) => {
+      const showBtn = e.target.closest('[data-table]');
+      if (!showBtn) return;
+      this.toggleOutlinePanel(false);
+      this.focusTable(showBtn.dataset.table, showBtn.dataset.schema || null);
+    });
+  }
+  
+  toggleOutlinePanel(open) {
+    const elementId = this.widgetId;
+    const panel = this.shadowRoot.querySelector(`#outline-panel-${elementId}`);
+    if (!panel) return;
+    
+    panel.hidden = open === undefined ? !panel.hidden : !open;
+    const toggleBtn = this.shadowRoot.querySelector(`#view-outline-${elementId}`);
+    if (toggleBtn) {
+      toggleBtn.setAttribute('aria-expanded', String(!panel.hidden));
+    }
+    if (!panel.hidden) {
+      this.toggleSqlPanel(false);
+    }
+    this.updateOutlinePanel();
+  }
+  
+  updateOutlinePanel() {
+    const elementId = this.widgetId;
+    const panel = this.shadowRoot.querySelector(`#outline-panel-${elementId}`);
+    const output = this.shadowRoot.querySelector(`#outline-output-${elementId}`);
+    if (!panel || panel.hidden || !output) return;
+    
+    try {
+      output.replaceChildren(new SchemaOutline(this.parseDbml(this._currentDbml), document).render());
+      output.classList.remove('outline-panel__content--error');
+    } catch (error) {
+      output.textContent = this.formatError(error);
+      output.classList.add('outline-panel__content--error');
+    }
+  }
+  
+  /**
+   * Moves keyboard focus to a table in the diagram and scrolls it into view.
+   * Returns false when there is no such visible table.
+   */
+  focusTable(tableName, schemaName = null) {
+    return this.diagramRenderer ? this.diagramRenderer.focusTable(tableName, schemaName) : false;
+  }
+  
+  /**
+   * Initializes the "Import SQL" dialog and lets a `.sql` file be dropped onto the viewer.
+   */
+  initSqlImport() {
+    const elementId = this.widgetId;
+    const dialog = this.shadowRoot.querySelector(`#sql-import-${elementId}`);
+    const input = this.shadowRoot.querySelector(`#sql-import-input-${elementId}`);
+    const fileInput = this.shadowRoot.querySelector(`#sql-import-file-${elementId}`);
+    const container = this.shadowRoot.querySelector('.db-widget-container');
+    if (!dialog || !input) return;
+    
+    const openBtn = this.shadowRoot.querySelector(`#import-sql-${elementId}`);
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.openSqlImport());
+    }
+    this.shadowRoot.querySelector(`#sql-import-cancel-${elementId}`).addEventListener('click', () => this.closeSqlImport());
+    this.shadowRoot.querySelector(`#sql-import-confirm-${elementId}`).addEventListener('click', () => {
+      this.submitSqlImport(input.value);
+    });
+    dialog.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeSqlImport();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        this.submitSqlImport(input.value);
+      }
+    });
+    
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+          file.text().then(sql => { input.value = sql; });
+        }
+      });
+    }
+    
+    if (container) {
+      const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+      
+      container.addEventListener('dragover', (e) => {
+        if (!hasFiles(e) || this.getMode() === 'diagram-only') return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        container.classList.add('db-widget-container--dragover');
+      });
+      container.addEventListener('dragleave', (e) => {
+        if (!container.contains(e.relatedTarget)) {
+          container.classList.remove('db-widget-container--dragover');
+        }
+      });
+      container.addEventListener('drop', (e) => {
+        if (!hasFiles(e) || this.getMode() === 'diagram-only') return;
+        e.preventDefault();
+        container.classList.remove('db-widget-container--dragover');
+        
+        const file = Array.from(e.dataTransfer.files).find(f => /\.sql$/i.test(f.name)) || e.dataTransfer.files[0];
+        if (file) {
+          file.text().then(sql => this.submitSqlImport(sql));
+        }
+      });
+    }
+  }
+  
+  openSqlImport(sql = '', error = null) {
+    const elementId = this.widgetId;
+    const dialog = this.shadowRoot.querySelector(`#sql-import-${elementId}`);
+    const input = this.shadowRoot.querySelector(`#sql-import-input-${elementId}`);
+    if (!dialog || !input) return;
+    
+    input.value = sql;
+    this.shadowRoot.querySelector(`#sql-import-error-${elementId}`).textContent = error ? this.formatError(error) : '';
+    dialog.hidden = false;
+    input.focus();
+  }
+  
+  closeSqlImport() {
+    const elementId = this.widgetId;
+    const dialog = this.shadowRoot.querySelector(`#sql-import-${elementId}`);
+    if (dialog) {
+      dialog.hidden = true;
+    }
+    const openBtn = this.shadowRoot.querySelector(`#import-sql-${elementId}`);
+    if (openBtn) {
+      openBtn.focus();
+    }
+  }
+  
+  /**
+   * Imports `sql` and closes the dialog, or shows the dialog with the error so the
+   * statement can be fixed in place.
+   */
+  submitSqlImport(sql) {
+    try {
+      this.importSQL(sql);
+      this.closeSqlImport();
+    } catch (error) {
+      this.openSqlImport(sql, error);
+    }
+  }
+  
+  /**
+   * Describes a parse or import error as `Line l, column c: reason`.
+   */
+  formatError(error) {
+    const location = error.line ? `Line ${error.line}, column ${error.column}: ` : '';
+    return `${location}${error.reason || error.message}`;
+  }
+  
+  /**
+   * Opens `menu` next to a zoom-controls `button`. `renderItems` returns the menu HTML
+   * each time it opens; `onSelect` receives the `data-value` of the chosen item.
+   */
+  bindControlMenu(button, menu, renderItems, onSelect) {
+    if (!button || !menu) return;
+    
+    const closeMenu = () => {
+      menu.hidden = true;
+      button.setAttribute('aria-expanded', 'false');
+    };
+    
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (!menu.hidden) {
+        closeMenu();
+        return;
+      }
+      
+      this.shadowRoot.querySelectorAll('.control-menu').forEach(other => {
+        if (other !== menu) other.hidden = true;
+      });
+      menu.innerHTML = renderItems();
+      menu.style.top = `${button.offsetTop}px`;
+      menu.hidden = false;
+      button.setAttribute('aria-expanded', 'true');
+    });
+    
+    menu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-value]');
+      if (!item) return;
+      e.stopPropagation();
+      closeMenu();
+      onSelect(item.dataset.value);
+    });
+    
+    document.addEventListener('click', closeMenu, { signal: this._listeners.signal });
+  }
+
   /**
    * Initializes pan mode button and keyboard shortcuts for temporary pan preview.
+   * Shift only previews pan mode on the viewer under the pointer or holding focus,
+   * so other viewers on the page are left alone.
    */
   initPanMode() {
     const elementId = this.widgetId;
+    const { signal } = this._listeners;
     
-    const panBtn = this.querySelector(`#pan-btn-${elementId}`);
+    const panBtn = this.shadowRoot.querySelector(`#pan-btn-${elementId}`);
     if (panBtn) {
       panBtn.addEventListener('click', () => {
         this.togglePanMode();
       });
     }
     
+    this._isPointerInside = false;
+    this.addEventListener('mouseenter', () => { this._isPointerInside = true; }, { signal });
+    this.addEventListener('mouseleave', () => { this._isPointerInside = false; }, { signal });
+    
     document.addEventListener('keydown', (e) => {
-      if (e.key === 'Shift' && !this.isPanModeActive) {
+      const isActiveViewer = this._isPointerInside || this.matches(':focus-within');
+      if (e.key === 'Shift' && !this.isPanModeActive && isActiveViewer) {
         this.showTemporaryPanMode();
       }
-    });
+    }, { signal });
     
     document.addEventListener('keyup', (e) => {
       if (e.key === 'Shift' && !this.isPanModeActive) {
         this.hideTemporaryPanMode();
       }
-    });
+    }, { signal });
   }
 
   /**
@@ -344,6 +1371,9 @@ class DbDiagramViewer extends HTMLElement {
    */
   togglePanMode() {
     this.isPanModeActive = !this.isPanModeActive;
+    if (this.diagramRenderer) {
+      this.diagramRenderer.isPanModeActive = this.isPanModeActive;
+    }
     this.updatePanModeUI();
     this.updateDiagramCursor();
   }
@@ -354,7 +1384,7 @@ class DbDiagramViewer extends HTMLElement {
   showTemporaryPanMode() {
     if (!this.isPanModeActive) {
       this.updateDiagramCursor(true);
-      const panBtn = this.querySelector(`#pan-btn-${this.widgetId}`);
+      const panBtn = this.shadowRoot.querySelector(`#pan-btn-${this.widgetId}`);
       if (panBtn) {
         panBtn.style.background = '#bbdefb';
         panBtn.style.borderColor = '#2196f3';
@@ -368,7 +1398,7 @@ class DbDiagramViewer extends HTMLElement {
   hideTemporaryPanMode() {
     if (!this.isPanModeActive) {
       this.updateDiagramCursor(false);
-      const panBtn = this.querySelector(`#pan-btn-${this.widgetId}`);
+      const panBtn = this.shadowRoot.querySelector(`#pan-btn-${this.widgetId}`);
       if (panBtn && !panBtn.classList.contains('active')) {
         panBtn.style.background = '';
         panBtn.style.borderColor = '';
@@ -380,8 +1410,9 @@ class DbDiagramViewer extends HTMLElement {
    * Updates the pan button UI based on current pan mode state.
    */
   updatePanModeUI() {
-    const panBtn = this.querySelector(`#pan-btn-${this.widgetId}`);
+    const panBtn = this.shadowRoot.querySelector(`#pan-btn-${this.widgetId}`);
     if (panBtn) {
+      panBtn.setAttribute('aria-pressed', String(this.isPanModeActive));
       if (this.isPanModeActive) {
         panBtn.classList.add('active');
         panBtn.title = 'Exit Pan Mode';
@@ -398,7 +1429,7 @@ class DbDiagramViewer extends HTMLElement {
    * Updates the diagram cursor to reflect current pan state.
    */
   updateDiagramCursor(temporary = false) {
-    const diagramContainer = this.querySelector(`#diagram-container-${this.widgetId}`);
+    const diagramContainer = this.shadowRoot.querySelector(`#diagram-container-${this.widgetId}`);
     if (diagramContainer) {
       if (this.isPanModeActive || temporary) {
         diagramContainer.style.cursor = 'grab';
@@ -413,15 +1444,14 @@ class DbDiagramViewer extends HTMLElement {
    */
   updateZoomDisplay(zoom) {
     const elementId = this.widgetId;
-    const zoomDisplay = this.querySelector(`#zoom-display-${elementId}`);
+    const zoomDisplay = this.shadowRoot.querySelector(`#zoom-display-${elementId}`);
     if (zoomDisplay) {
       const percentage = Math.round(zoom * 100);
       zoomDisplay.textContent = `${percentage}%`;
     }
   }
   
-  onDbmlChange() {
-    const value = this.editor.getValue();
+  onDbmlChange(value = this.editor.getValue()) {
     if (value !== this._currentDbml) {
       this._currentDbml = value;
       this.renderDiagram();
@@ -434,109 +1464,103 @@ class DbDiagramViewer extends HTMLElement {
   }
   
   renderDiagram() {
-    if (!this.diagramRenderer) return;
-    
     try {
-      // Parse DBML using the same parser as the original app
       const dbmlData = this.parseDbml(this._currentDbml);
-      this.diagramRenderer.render(dbmlData);
+      if (this.diagramRenderer) {
+        this.diagramRenderer.render(dbmlData);
+      }
+      this.clearDiagramError();
     } catch (error) {
-      console.error('DBML parsing error:', error);
-      this.showDiagramError(error.message);
+      if (!(error instanceof DbmlParseError)) {
+        console.error('DBML rendering error:', error);
+      }
+      this.showDiagramError(error);
     }
+    this.updateSqlPanel();
+    this.updateOutlinePanel();
   }
   
+  /**
+   * Parses DBML source into the schema model used by the diagram renderer.
+   */
   parseDbml(dbmlCode) {
-    // For now, create a simple parser that extracts basic table info
-    // In a real implementation, you'd use @dbml/core here
-    return this.simpleParseDml(dbmlCode);
-  }
-  
-  simpleParseDml(dbmlCode) {
-    // Simple regex-based parser for basic DBML structures
-    const tables = [];
-    const refs = [];
-    
-    // Extract tables
-    const tableMatches = dbmlCode.match(/Table\s+(\w+)\s*\{([^}]*)\}/g);
-    if (tableMatches) {
-      tableMatches.forEach((tableMatch, index) => {
-        const nameMatch = tableMatch.match(/Table\s+(\w+)/);
-        const name = nameMatch ? nameMatch[1] : `table_${index}`;
-        
-        const fieldsContent = tableMatch.match(/\{([^}]*)\}/)[1];
-        const fields = this.parseFields(fieldsContent);
-        
-        tables.push({
-          id: index,
-          name,
-          fields
-        });
-      });
-    }
+    return parseDbml(dbmlCode);
+  }
+  
+  /**
+   * Reports a parse error without touching the diagram: the last good diagram stays
+   * visible but dimmed, a banner describes the problem and the editor marks the location.
+   */
+  showDiagramError(error) {
+    const container = this.diagramRenderer?.container;
+    if (!container) return;
     
-    // Extract basic references - improved parsing
-    const refMatches = dbmlCode.match(/Ref:\s*([^>]+)>\s*([^\n\r]+)/g);
-    if (refMatches) {
-      refMatches.forEach((refMatch, index) => {
-        const match = refMatch.match(/Ref:\s*([^.]+)\.([^>\s]+)\s*>\s*([^.]+)\.([^\s\n\r]+)/);
-        if (match) {
-          const [, fromTable, fromField, toTable, toField] = match;
-          refs.push({
-            id: index,
-            name: `${fromTable}_to_${toTable}`,
-            fromTable: fromTable.trim(),
-            fromField: fromField.trim(),
-            toTable: toTable.trim(),
-            toField: toField.trim()
-          });
-        }
-      });
+    container.classList.add('diagram--stale');
+    
+    if (!this.errorBanner) {
+      this.errorBanner = document.createElement('div');
+      this.errorBanner.className = 'diagram-error-banner';
+      this.errorBanner.setAttribute('part', 'error-banner');
+      this.errorBanner.setAttribute('role', 'alert');
+      this.errorBanner.addEventListener('click', () => this.goToError());
+      container.appendChild(this.errorBanner);
     }
     
-    return {
-      schemas: [{
-        tables,
-        refs
-      }]
-    };
+    const location = error.line ? `Line ${error.line}, column ${error.column}: ` : '';
+    this.errorBanner.textContent = `⚠️ ${location}${error.reason || error.message}`;
+    this.errorBanner.title = error.line ? 'Go to error' : '';
+    this.errorBanner.style.display = 'block';
+    this._lastError = error;
+    
+    this.setEditorDiagnostics(error);
+  }
+  
+  clearDiagramError() {
+    this.diagramRenderer?.container.classList.remove('diagram--stale');
+    if (this.errorBanner) {
+      this.errorBanner.style.display = 'none';
+    }
+    this._lastError = null;
+    this.setEditorDiagnostics(null);
   }
   
-  parseFields(fieldsContent) {
-    const fields = [];
-    const lines = fieldsContent.split('\n').filter(line => line.trim());
+  /**
+   * Shows the error as an ACE gutter annotation and a squiggly underline.
+   */
+  setEditorDiagnostics(error) {
+    if (!this.editor) return;
+    const session = this.editor.session;
     
-    lines.forEach((line, index) => {
-      const trimmed = line.trim();
-      if (trimmed && !trimmed.startsWith('//')) {
-        const parts = trimmed.split(/\s+/);
-        const name = parts[0];
-        const type = parts[1] || 'varchar';
-        const isPk = trimmed.includes('[pk]');
-        
-        fields.push({
-          id: index,
-          name,
-          type: { type_name: type },
-          pk: isPk
-        });
-      }
-    });
+    if (this._errorMarkerId != null) {
+      session.removeMarker(this._errorMarkerId);
+      this._errorMarkerId = null;
+    }
     
-    return fields;
+    if (!error || !error.line) {
+      session.clearAnnotations();
+      return;
+    }
+    
+    const row = error.line - 1;
+    const column = error.column - 1;
+    session.setAnnotations([{
+      row,
+      column,
+      text: error.reason || error.message,
+      type: 'error'
+    }]);
+    
+    const Range = window.ace.require?.('ace/range').Range;
+    if (Range) {
+      const endColumn = column + (error.length || 1);
+      this._errorMarkerId = session.addMarker(new Range(row, column, row, endColumn), 'ace-dbml-error', 'text', true);
+    }
   }
   
-  showDiagramError(message) {
-    if (this.diagramRenderer && this.diagramRenderer.container) {
-      this.diagramRenderer.container.innerHTML = `
-        <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #d32f2f; font-family: Arial, sans-serif;">
-          <div style="text-align: center;">
-            <div style="font-size: 18px; margin-bottom: 8px;">⚠️ Parse Error</div>
-            <div style="font-size: 14px;">${message}</div>
-          </div>
-        </div>
-      `;
-    }
+  goToError() {
+    if (!this.editor || !this._lastError?.line) return;
+    this.editor.gotoLine(this._lastError.line, this._lastError.column - 1, true);
+    this.editor.focus();
   }
   
   getDefaultDbml() {
@@ -558,28 +1582,93 @@ Table posts {
   
   // Watch for attribute changes
   static get observedAttributes() {
-    return ['dbml', 'editable', 'theme'];
+    return [
+      'dbml', 'editable', 'theme', 'show-indexes', 'layout', 'positions', 'transitions',
+      'mode', 'orientation', 'editor-size', 'editor-collapsed'
+    ];
   }
   
   attributeChangedCallback(name, oldValue, newValue) {
-    if (!this.editor || oldValue === newValue) return;
+    if (!this.widgetId || oldValue === newValue) return;
     
     switch (name) {
       case 'dbml':
-        this.editor.setValue(newValue || '', -1);
         this._currentDbml = newValue || '';
+        if (this.editor) {
+          this.editor.setValue(this._currentDbml, -1);
+        }
         this.renderDiagram();
         break;
       case 'editable':
-        this.editor.setReadOnly(newValue === 'false');
+        if (this.editor) {
+          this.editor.setReadOnly(newValue === 'false');
+        }
         break;
       case 'theme':
-        this.editor.setTheme(`ace/theme/${newValue || 'dracula'}`);
+        if (this.editor) {
+          this.editor.setTheme(`ace/theme/${newValue || 'dracula'}`);
+        }
+        break;
+      case 'mode':
+      case 'orientation':
+      case 'editor-size':
+      case 'editor-collapsed':
+        this.updatePanelLayout();
+        break;
+      case 'show-indexes':
+        if (this.diagramRenderer) {
+          this.diagramRenderer.options.showIndexes = newValue !== 'false';
+          this.renderDiagram();
+        }
+        break;
+      case 'layout':
+        if (this.diagramRenderer) {
+          this.diagramRenderer.options.layout = newValue || 'layered';
+          this.diagramRenderer.relayout();
+        }
+        break;
+      case 'transitions':
+        if (this.diagramRenderer) {
+          this.diagramRenderer.options.transitions = newValue !== 'false';
+        }
+        break;
+      case 'positions':
+        if (this.diagramRenderer && !this._savingPositions && newValue) {
+          try {
+            this.diagramRenderer.setPositions(JSON.parse(newValue));
+          } catch (error) {
+            console.warn("Ignoring invalid JSON in the 'positions' attribute:", error);
+          }
+        }
         break;
     }
   }
   
   disconnectedCallback() {
+    this.teardown();
+  }
+  
+  /**
+   * Removes every listener and timer of this instance and releases the editor and
+   * diagram, so a viewer that is moved, removed or rendered again leaves nothing behind.
+   * An edit still waiting on the change debounce is applied first rather than dropped.
+   */
+  teardown() {
+    this._listeners?.abort();
+    clearTimeout(this._initTimer);
+    
+    if (this._changeTimer) {
+      clearTimeout(this._changeTimer);
+      this._changeTimer = null;
+      if (this.editor) this.onDbmlChange();
+    }
+    
+    if (this.diagramRenderer) {
+      this.diagramRenderer.destroy();
+      this.diagramRenderer = null;
+    }
+    this.errorBanner = null;
+    
     if (this.editor) {
       this.editor.destroy();
       this.editor = null;
@@ -588,12 +1677,127 @@ Table posts {
   
   // Helper methods
   getDbml() {
-    return this.editor ? this.editor.getValue() : '';
+    return this.editor ? this.editor.getValue() : this._currentDbml;
   }
   
   setDbml(dbml) {
     if (this.editor) {
       this.editor.setValue(dbml || '', -1);
+    } else {
+      this.onDbmlChange(dbml || '');
+    }
+  }
+  
+  /**
+   * Returns the diagram as a standalone SVG document, cropped to its content and
+   * with the diagram CSS embedded. Pan and zoom don't affect the result.
+   */
+  exportSVG(options = {}) {
+    if (!this.diagramRenderer) return '';
+    return this.diagramRenderer.exportSVG({ styles: this.getDiagramStyles(), ...options });
+  }
+  
+  /**
+   * Renders the exported SVG onto a canvas and resolves with a PNG Blob.
+   * Pass `background: null` for a transparent image.
+   */
+  exportPNG({ scale = 2, background = '#ffffff' } = {}) {
+    const svg = this.exportSVG({ background });
+    
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(image.width * scale);
+        canvas.height = Math.ceil(image.height * scale);
+        
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0);
+        canvas.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Could not encode the diagram as PNG'));
+          }
+        }, 'image/png');
+      };
+      image.onerror = () => reject(new Error('Could not load the exported SVG'));
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+  }
+  
+  /**
+   * Saves the diagram as `<element id>.svg`, `.png`, `.mmd` or `.puml` through a
+   * temporary download link.
+   */
+  downloadExport(format) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+      return Promise.reject(new Error(`Unknown export format '${format}'`));
+    }
+    const filename = `${this.id || 'diagram'}.${spec.extension}`;
+    
+    return Promise.resolve()
+      .then(() => this[spec.method]())
+      .then(output => (output instanceof Blob ? output : new Blob([output], { type: spec.type })))
+      .then(data => {
+        const url = URL.createObjectURL(data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+      })
+      .catch(error => {
+        console.error('Diagram export failed:', error);
+      });
+  }
+  
+  /**
+   * Returns the current DBML as a Mermaid `erDiagram`.
+   * Throws a DbmlParseError when the DBML is invalid.
+   */
+  toMermaid() {
+    return toMermaid(this.parseDbml(this.getDbml()));
+  }
+  
+  /**
+   * Returns the current DBML as a PlantUML entity diagram.
+   * Throws a DbmlParseError when the DBML is invalid.
+   */
+  toPlantUML() {
+    return toPlantUML(this.parseDbml(this.getDbml()));
+  }
+  
+  /**
+   * Converts PostgreSQL, MySQL or SQLite DDL to DBML and loads it into the editor.
+   * Returns the DBML; throws a SqlImportError when the SQL can't be read.
+   */
+  importSQL(sql) {
+    const dbml = sqlToDbml(sql);
+    this.setDbml(dbml);
+    return dbml;
+  }
+  
+  /**
+   * Returns the current DBML as SQL DDL for 'postgres', 'mysql' or 'sqlite'. Without a
+   * dialect, `Project { database_type }` decides, falling back to PostgreSQL.
+   * Throws a DbmlParseError when the DBML is invalid.
+   */
+  toSQL(dialect) {
+    return toSQL(this.parseDbml(this.getDbml()), dialect);
+  }
+  
+  getPositions() {
+    return this.diagramRenderer ? this.diagramRenderer.getPositions() : {};
+  }
+  
+  setPositions(positions) {
+    if (this.diagramRenderer) {
+      this.diagramRenderer.setPositions(positions);
     }
   }
 }
@@ -1,13 +1,81 @@
+import { LayeredLayout } from './layout/LayeredLayout.js';
+import { ForceLayout } from './layout/ForceLayout.js';
+import { GridLayout } from './layout/GridLayout.js';
+import { CircularLayout } from './layout/CircularLayout.js';
+import { CompactLayout } from './layout/CompactLayout.js';
+import { OrthogonalRouter } from './routing/OrthogonalRouter.js';
+import { EdgeSeparator } from './routing/EdgeSeparator.js';
+import { KeyboardNavigator } from './KeyboardNavigator.js';
+import { SchemaDescriber } from './SchemaDescriber.js';
+
+const REF_COLOR = '#666';
+const MANY_TO_MANY_COLOR = '#8e24aa';
+const ENUM_COLOR = '#6a1b9a';
+const SCHEMA_COLORS = ['#2196F3', '#00897b', '#f4511e', '#5e35b1', '#c0ca33', '#6d4c41'];
+const DEFAULT_SCHEMA = 'public';
+const GROUP_COLORS = ['#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#00897b', '#e53935'];
+const CARDINALITY_MARKERS = ['one', 'zero-or-one', 'one-or-many', 'zero-or-many'];
+const PORT_STUB = 20;
+
+const copyBox = ({ x, y, width, height }) => ({ x, y, width, height });
+
+/**
+ * Wraps `callback` so that any number of `schedule()` calls within one animation frame
+ * run it once, on that frame. `flush()` runs a pending call straight away.
+ */
+function throttleToFrame(callback) {
+  let frame = null;
+  const run = () => {
+    frame = null;
+    callback();
+  };
+  
+  return {
+    schedule() {
+      if (typeof requestAnimationFrame !== 'function') {
+        callback();
+      } else if (frame === null) {
+        frame = requestAnimationFrame(run);
+      }
+    },
+    flush() {
+      if (frame === null) return;
+      cancelAnimationFrame(frame);
+      run();
+    }
+  };
+}
+
+/**
+ * Layout strategies by name. Built-ins are listed here; add more with DiagramRenderer.registerLayout.
+ */
+const LAYOUT_STRATEGIES = new Map([
+  ['layered', (nodes, edges, options) => new LayeredLayout(options).layout(nodes, edges)],
+  ['force', (nodes, edges, options) => new ForceLayout(options).layout(nodes, edges)],
+  ['grid', (nodes, edges, options) => new GridLayout(options).layout(nodes, edges)],
+  ['circular', (nodes, edges, options) => new CircularLayout(options).layout(nodes, edges)],
+  ['compact', (nodes, edges, options) => new CompactLayout(options).layout(nodes, edges)]
+]);
+
 /**
  * Core diagram renderer that creates interactive SVG database diagrams.
  * Handles table rendering, relationship lines, zoom/pan interactions, and drag operations.
  */
 export class DiagramRenderer {
-  constructor(container) {
+  constructor(container, options = {}) {
     this.container = container;
+    this.document = container.ownerDocument || document;
+    this.options = options;
     this.svg = null;
     this.tables = new Map();
     this.relationships = new Map();
+    this.enums = new Map();
+    this.enumLinks = [];
+    this.tableGroups = new Map();
+    this.hiddenSchemas = new Set();
+    this.knownPositions = new Map(Object.entries(options.positions || {}));
+    this.router = new OrthogonalRouter({ stub: PORT_STUB });
+    this.edgeSeparator = new EdgeSeparator();
     this.state = {
       zoom: 1.0,
       pan: { x: 0, y: 0 },
@@ -18,6 +86,7 @@ export class DiagramRenderer {
     this.gridSnap = 5;
     
     this.isPanning = false;
+    this.isPanModeActive = false;
     this.lastPanPoint = { x: 0, y: 0 };
     this.minZoom = 0.25;
     this.maxZoom = 3.0;
@@ -29,8 +98,11 @@ export class DiagramRenderer {
    * Initializes the SVG diagram with layers and interaction handlers.
    */
   init() {
-    this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    this.svg = this.document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     this.svg.classList.add('db-chart');
+    this.svg.setAttribute('role', 'group');
+    this.svg.setAttribute('aria-roledescription', 'diagram');
+    this.svg.setAttribute('aria-label', 'Database diagram');
     this.svg.style.width = '100%';
     this.svg.style.height = '100%';
     this.svg.style.background = '#fafafa';
@@ -44,7 +116,12 @@ export class DiagramRenderer {
       this.container.appendChild(this.svg);
     }
     
-    this.setupZoomPan();
+    if (this.options.interactive !== false) {
+      this.setupZoomPan();
+      this.svg.setAttribute('tabindex', '0');
+      this.keyboardNavigator = new KeyboardNavigator(this);
+      this.keyboardNavigator.attach(this.svg);
+    }
   }
   
   createSVGStructure() {
@@ -58,28 +135,21 @@ export class DiagramRenderer {
     });
     bgLayer.appendChild(bgRect);
     
-    // Add defs for arrowheads
+    // Add defs for cardinality markers
     const defs = this.createSVGElement('defs');
-    const marker = this.createSVGElement('marker', {
-      id: 'arrowhead',
-      markerWidth: '10',
-      markerHeight: '7',
-      refX: '9',
-      refY: '3.5',
-      orient: 'auto',
-      markerUnits: 'strokeWidth'
-    });
-    const arrowPath = this.createSVGElement('polygon', {
-      points: '0 0, 10 3.5, 0 7',
-      fill: '#666'
+    CARDINALITY_MARKERS.forEach(kind => {
+      defs.appendChild(this.createCardinalityMarker(kind, REF_COLOR));
+      defs.appendChild(this.createCardinalityMarker(kind, MANY_TO_MANY_COLOR, '-m2m'));
     });
-    marker.appendChild(arrowPath);
-    defs.appendChild(marker);
     this.svg.appendChild(defs);
     
     // Main viewport layer
     const viewportLayer = this.createSVGElement('g', { id: 'viewport-layer' });
     
+    // Table group regions (behind everything else)
+    const groupsLayer = this.createSVGElement('g', { id: 'groups-layer' });
+    viewportLayer.appendChild(groupsLayer);
+    
     // Relationships layer (behind tables)
     const refsLayer = this.createSVGElement('g', { id: 'refs-layer' });
     viewportLayer.appendChild(refsLayer);
@@ -88,6 +158,10 @@ export class DiagramRenderer {
     const tablesLayer = this.createSVGElement('g', { id: 'tables-layer' });
     viewportLayer.appendChild(tablesLayer);
     
+    // Enums layer
+    const enumsLayer = this.createSVGElement('g', { id: 'enums-layer' });
+    viewportLayer.appendChild(enumsLayer);
+    
     this.svg.appendChild(bgLayer);
     this.svg.appendChild(viewportLayer);
     
@@ -96,12 +170,63 @@ export class DiagramRenderer {
       background: bgLayer,
       viewport: viewportLayer,
       tables: tablesLayer,
-      refs: refsLayer
+      enums: enumsLayer,
+      refs: refsLayer,
+      groups: groupsLayer
     };
   }
   
+  /**
+   * Creates an ERD cardinality marker. Markers are drawn pointing into the table
+   * and use auto-start-reverse so one definition serves both ends of a line.
+   */
+  createCardinalityMarker(kind, color, suffix = '') {
+    const marker = this.createSVGElement('marker', {
+      id: `marker-${kind}${suffix}`,
+      viewBox: '0 0 20 20',
+      markerWidth: '20',
+      markerHeight: '20',
+      refX: '20',
+      refY: '10',
+      orient: 'auto-start-reverse',
+      markerUnits: 'userSpaceOnUse'
+    });
+    
+    const shapes = [];
+    const bar = (x) => `M ${x} 3 L ${x} 17`;
+    const crowsFoot = 'M 8 10 L 20 3 M 8 10 L 20 10 M 8 10 L 20 17';
+    
+    switch (kind) {
+      case 'one':
+        shapes.push(['path', { d: `${bar(10)} ${bar(14)}` }]);
+        break;
+      case 'zero-or-one':
+        shapes.push(['path', { d: bar(14) }]);
+        shapes.push(['circle', { cx: '6', cy: '10', r: '4', fill: '#fff' }]);
+        break;
+      case 'one-or-many':
+        shapes.push(['path', { d: `${crowsFoot} ${bar(5)}` }]);
+        break;
+      case 'zero-or-many':
+        shapes.push(['path', { d: crowsFoot }]);
+        shapes.push(['circle', { cx: '4', cy: '10', r: '3.5', fill: '#fff' }]);
+        break;
+    }
+    
+    shapes.forEach(([tagName, attributes]) => {
+      marker.appendChild(this.createSVGElement(tagName, {
+        fill: 'none',
+        stroke: color,
+        'stroke-width': '1.5',
+        ...attributes
+      }));
+    });
+    
+    return marker;
+  }
+  
   createSVGElement(tagName, attributes = {}) {
-    const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+    const element = this.document.createElementNS('http://www.w3.org/2000/svg', tagName);
     Object.entries(attributes).forEach(([key, value]) => {
       element.setAttribute(key, value);
     });
@@ -114,86 +239,869 @@ export class DiagramRenderer {
       return;
     }
     
-    const schema = dbmlData.schemas[0];
+    const schemas = dbmlData.schemas;
+    const collect = (key) => schemas.flatMap(schema => schema[key] || []);
+    
+    const previousIds = this.rememberPositions();
+    this.schemaNames = schemas
+      .filter(schema => schema.tables?.length || schema.enums?.length)
+      .map(schema => schema.name || DEFAULT_SCHEMA);
+    this.renderTables(collect('tables'));
+    this.renderTableGroups(collect('tableGroups'));
+    this.renderEnums(collect('enums'));
+    this.renderRelationships(collect('refs'));
+    this.renderEnumLinks();
+    this.renderSchemaLegend();
+    this.restoreLayout(previousIds);
+    this.refreshVisibility();
+    this.updateAccessibility(new SchemaDescriber(dbmlData));
+  }
+  
+  /**
+   * Labels the diagram, its tables and their columns for assistive technology, e.g.
+   * "posts table, 5 columns, references users", and puts the tables in the tab order.
+   * Labels mention relationships, so every render refreshes them, not just redrawn tables.
+   */
+  updateAccessibility(describer) {
+    const focusable = this.options.interactive !== false;
+    this.svg.setAttribute('aria-label', `Database diagram, ${describer.describeSchema()}`);
+    
+    this.tables.forEach(({ table, element }) => {
+      element.setAttribute('role', 'group');
+      element.setAttribute('aria-roledescription', 'table');
+      element.setAttribute('aria-label', describer.describeTable(table));
+      if (focusable) {
+        element.setAttribute('tabindex', '0');
+      }
+      
+      const fieldsGroup = element.querySelector('.db-table-fields');
+      if (fieldsGroup) {
+        fieldsGroup.setAttribute('role', 'list');
+        fieldsGroup.setAttribute('aria-label', 'Columns');
+      }
+      element.querySelectorAll('.db-field').forEach((fieldElement, index) => {
+        const field = table.fields[index];
+        if (!field) return;
+        fieldElement.setAttribute('role', 'listitem');
+        fieldElement.setAttribute('aria-label', describer.describeField(table, field));
+        if (focusable) {
+          fieldElement.setAttribute('tabindex', '-1');
+        }
+      });
+    });
+  }
+  
+  /**
+   * Key a table is stored under in `this.tables`. Names are only unique per schema.
+   */
+  getTableKey(table) {
+    return `${table.schemaName || DEFAULT_SCHEMA}.${table.name}`;
+  }
+  
+  isMultiSchema() {
+    return (this.schemaNames || []).length > 1;
+  }
+  
+  /**
+   * Header colour for tables of a schema. Only used when the diagram spans several schemas.
+   */
+  getSchemaColor(schemaName) {
+    const index = (this.schemaNames || []).indexOf(schemaName || DEFAULT_SCHEMA);
+    return SCHEMA_COLORS[Math.max(index, 0) % SCHEMA_COLORS.length];
+  }
+  
+  isSchemaVisible(schemaName) {
+    return !this.hiddenSchemas.has(schemaName || DEFAULT_SCHEMA);
+  }
+  
+  setSchemaVisible(schemaName, visible) {
+    if (visible) {
+      this.hiddenSchemas.delete(schemaName);
+    } else {
+      this.hiddenSchemas.add(schemaName);
+    }
+    this.refreshVisibility();
+  }
+  
+  isTableVisible(tableData) {
+    return !!tableData && this.isSchemaVisible(tableData.table.schemaName);
+  }
+  
+  /**
+   * Applies schema toggles and group collapsing to tables, enums and lines.
+   */
+  refreshVisibility() {
+    this.tables.forEach(tableData => {
+      const hidden = !this.isTableVisible(tableData) || tableData.group?.collapsed;
+      tableData.element.style.display = hidden ? 'none' : '';
+    });
+    this.enums.forEach(enumData => {
+      enumData.element.style.display = this.isSchemaVisible(enumData.enumDef.schemaName) ? '' : 'none';
+    });
+    this.tableGroups.forEach(groupData => {
+      const visible = groupData.members.some(tableData => this.isTableVisible(tableData));
+      groupData.element.style.display = visible ? '' : 'none';
+    });
+    this.updateTableGroups();
+    this.updateAllRelationships();
+  }
+  
+  /**
+   * Lists the schemas with a colour swatch and a checkbox to show or hide each one.
+   * Only shown when the diagram spans more than one schema.
+   */
+  renderSchemaLegend() {
+    if (this.schemaLegend) {
+      this.schemaLegend.remove();
+      this.schemaLegend = null;
+    }
+    if (!this.isMultiSchema()) return;
     
-    this.clearDiagram();
-    this.renderTables(schema.tables || []);
-    this.renderRelationships(schema.refs || []);
-    this.autoLayout();
+    this.schemaLegend = this.document.createElement('div');
+    this.schemaLegend.className = 'db-schema-legend';
+    
+    this.schemaNames.forEach(schemaName => {
+      const label = this.document.createElement('label');
+      label.className = 'db-schema-legend__item';
+      
+      const checkbox = this.document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.isSchemaVisible(schemaName);
+      checkbox.addEventListener('change', () => this.setSchemaVisible(schemaName, checkbox.checked));
+      
+      const swatch = this.document.createElement('span');
+      swatch.className = 'db-schema-legend__swatch';
+      swatch.style.background = this.getSchemaColor(schemaName);
+      
+      label.append(checkbox, swatch, this.document.createTextNode(schemaName));
+      this.schemaLegend.appendChild(label);
+    });
+    
+    this.container.appendChild(this.schemaLegend);
+  }
+  
+  /**
+   * Removes the diagram from its container. Drags and pans hold pointer capture on
+   * the diagram's own elements, so nothing is left listening on the document.
+   * The renderer can't be used afterwards.
+   */
+  destroy() {
+    this.cancelLayoutAnimation();
+    this.isPanning = false;
+    this.svg.remove();
+    this.tooltip?.remove();
+    this.schemaLegend?.remove();
+    this.tooltip = null;
+    this.schemaLegend = null;
   }
   
   clearDiagram() {
+    this.svg.setAttribute('aria-label', 'Database diagram');
+    this.cancelLayoutAnimation();
+    this.hideTooltip();
     this.layers.tables.innerHTML = '';
+    this.layers.enums.innerHTML = '';
     this.layers.refs.innerHTML = '';
+    this.layers.groups.innerHTML = '';
     this.tables.clear();
     this.relationships.clear();
+    this.enums.clear();
+    this.enumLinks = [];
+    this.tableGroups.clear();
   }
   
+  /**
+   * Patches the table nodes to match `tables`. Unchanged tables keep their SVG element,
+   * so hover state and expanded index footers survive an edit.
+   */
   renderTables(tables) {
-    tables.forEach((table, index) => {
-      const tableRenderer = new TableRenderer(table, this);
-      const tableElement = tableRenderer.render();
-      
-      // Position table (simple grid layout for now)
-      const x = (index % 3) * 300 + 50;
-      const y = Math.floor(index / 3) * 250 + 50;
-      
-      tableElement.setAttribute('x', x);
-      tableElement.setAttribute('y', y);
-      
-      // Add dragging functionality
-      this.makeDraggable(tableElement, table);
-      
-      this.layers.tables.appendChild(tableElement);
-      this.tables.set(table.id || table.name, {
-        table,
-        renderer: tableRenderer,
-        element: tableElement,
-        x,
-        y,
-        width: 250,
-        height: 35 + (table.fields.length * 30)
+    this.patchNodes(this.tables, tables, this.layers.tables, {
+      getKey: table => this.getTableKey(table),
+      getSignature: table => JSON.stringify({
+        table: { ...table, id: undefined },
+        showIndexes: this.options.showIndexes !== false,
+        schemaColor: this.isMultiSchema() ? this.getSchemaColor(table.schemaName) : null
+      }),
+      createNode: (table, previous) => {
+        const tableRenderer = new TableRenderer(table, this);
+        if (previous) {
+          tableRenderer.indexesExpanded = previous.renderer.indexesExpanded;
+        }
+        const tableElement = tableRenderer.render();
+        this.makeDraggable(tableElement, this.getTableKey(table));
+        
+        return {
+          table,
+          renderer: tableRenderer,
+          element: tableElement,
+          x: 0,
+          y: 0,
+          width: tableRenderer.width,
+          height: tableRenderer.getHeight()
+        };
+      },
+      reuseNode: (tableData, table) => {
+        tableData.table = table;
+        tableData.renderer.table = table;
+      }
+    });
+    
+    // Group membership is rebuilt by renderTableGroups
+    this.tables.forEach(tableData => {
+      tableData.group = null;
+    });
+  }
+  
+  /**
+   * Brings `collection` in line with `items` by key. Nodes with an unchanged signature
+   * are reused, changed ones are redrawn in place, and the rest enter or exit.
+   * A single removal paired with a single addition is a rename and is swapped in place.
+   */
+  patchNodes(collection, items, layer, { getKey, getSignature, createNode, reuseNode }) {
+    const previous = new Map(collection);
+    const added = [];
+    collection.clear();
+    
+    items.forEach(item => {
+      const key = getKey(item);
+      const signature = getSignature(item);
+      const existing = previous.get(key);
+      previous.delete(key);
+      
+      if (existing && existing.signature === signature) {
+        reuseNode(existing, item);
+        collection.set(key, existing);
+        return;
+      }
+      
+      const nodeData = createNode(item, existing);
+      nodeData.signature = signature;
+      collection.set(key, nodeData);
+      if (existing) {
+        existing.element.replaceWith(nodeData.element);
+      } else {
+        added.push(nodeData);
+      }
+    });
+    
+    const removed = Array.from(previous.values());
+    if (removed.length === 1 && added.length === 1) {
+      removed[0].element.replaceWith(added[0].element);
+      return;
+    }
+    
+    added.forEach(nodeData => {
+      layer.appendChild(nodeData.element);
+      this.enterElement(nodeData.element);
+    });
+    removed.forEach(nodeData => this.exitElement(nodeData.element));
+  }
+  
+  useTransitions() {
+    return this.options.transitions !== false;
+  }
+  
+  enterElement(element) {
+    if (!this.useTransitions()) return;
+    
+    element.classList.add('db-node--entering');
+    element.addEventListener('animationend', () => {
+      element.classList.remove('db-node--entering');
+    }, { once: true });
+  }
+  
+  exitElement(element) {
+    if (!this.useTransitions()) {
+      element.remove();
+      return;
+    }
+    
+    element.classList.remove('db-node--entering');
+    element.classList.add('db-node--exiting');
+    setTimeout(() => element.remove(), 200);
+  }
+  
+  /**
+   * Rebuilds the group regions, keeping each group's collapsed state by name.
+   */
+  renderTableGroups(groups) {
+    const collapsed = new Set();
+    this.tableGroups.forEach((groupData, name) => {
+      if (groupData.collapsed) collapsed.add(name);
+      groupData.element.remove();
+    });
+    this.tableGroups.clear();
+    
+    groups.forEach((group, index) => {
+      const members = group.tables
+        .map(member => this.findTableByName(member.name, member.schemaName))
+        .filter(Boolean);
+      
+      const groupRenderer = new TableGroupRenderer(group, members, this, index);
+      const groupElement = groupRenderer.render();
+      this.layers.groups.appendChild(groupElement);
+      
+      const groupData = {
+        group,
+        members,
+        renderer: groupRenderer,
+        element: groupElement,
+        collapsed: collapsed.has(group.name)
+      };
+      members.forEach(tableData => {
+        tableData.group = groupData;
+      });
+      
+      this.makeGroupDraggable(groupData);
+      this.tableGroups.set(group.name, groupData);
+    });
+  }
+  
+  /**
+   * Called by a TableRenderer after its height changes.
+   */
+  onTableResized(table) {
+    const tableData = this.tables.get(this.getTableKey(table));
+    if (!tableData) return;
+    
+    tableData.height = tableData.renderer.getHeight();
+    this.updateTableGroups();
+    this.updateAllRelationships();
+  }
+  
+  updateTableGroups() {
+    this.tableGroups.forEach(groupData => groupData.renderer.update());
+  }
+  
+  /**
+   * Collapses a table group to a single box, or expands it back to its tables.
+   * Lines to collapsed tables are redrawn against the group box.
+   */
+  toggleGroupCollapsed(groupName) {
+    const groupData = this.tableGroups.get(groupName);
+    if (!groupData) return;
+    
+    groupData.collapsed = !groupData.collapsed;
+    this.refreshVisibility();
+  }
+  
+  /**
+   * Returns the box lines should attach to for a table: the table itself, or its
+   * group's box while the group is collapsed.
+   */
+  getRoutingTarget(tableData) {
+    if (tableData?.group?.collapsed) {
+      return tableData.group.renderer.getCollapsedBox();
+    }
+    return tableData;
+  }
+  
+  /**
+   * Boxes relationship lines are routed around: visible tables and enums, and the
+   * boxes of collapsed groups.
+   */
+  getRoutingObstacles() {
+    const obstacles = [];
+    this.tables.forEach(tableData => {
+      if (this.isTableVisible(tableData) && !tableData.group?.collapsed) {
+        obstacles.push(tableData);
+      }
+    });
+    this.enums.forEach(enumData => {
+      if (this.isSchemaVisible(enumData.enumDef.schemaName)) {
+        obstacles.push(enumData);
+      }
+    });
+    this.tableGroups.forEach(groupData => {
+      if (groupData.collapsed && groupData.members.some(tableData => this.isTableVisible(tableData))) {
+        obstacles.push(groupData.renderer.getCollapsedBox());
+      }
+    });
+    return obstacles;
+  }
+  
+  /**
+   * Lets a table group be dragged by its header, moving all of its tables together.
+   */
+  makeGroupDraggable(groupData) {
+    let dragPointerId = null;
+    let startMouseX, startMouseY, lastMouseX, lastMouseY, startPositions;
+    
+    const header = groupData.renderer.header;
+    const move = throttleToFrame(() => {
+      const deltaX = (lastMouseX - startMouseX) / this.state.zoom;
+      const deltaY = (lastMouseY - startMouseY) / this.state.zoom;
+      const previousBoxes = groupData.members.map(tableData => copyBox(this.getRoutingTarget(tableData)));
+      
+      groupData.members.forEach((tableData, index) => {
+        tableData.x = startPositions[index].x + deltaX;
+        tableData.y = startPositions[index].y + deltaY;
+        tableData.element.setAttribute('x', tableData.x);
+        tableData.element.setAttribute('y', tableData.y);
+      });
+      
+      this.updateTableGroups();
+      this.updateDraggedRelationships(groupData.members, previousBoxes);
+    });
+    header.style.cursor = 'grab';
+    header.style.touchAction = 'none';
+    
+    const onPointerDown = (e) => {
+      if (dragPointerId !== null || !e.isPrimary || e.button !== 0) return;
+      if (e.target.closest('.db-table-group__toggle')) return;
+      
+      dragPointerId = e.pointerId;
+      header.setPointerCapture(e.pointerId);
+      header.style.cursor = 'grabbing';
+      
+      startMouseX = lastMouseX = e.clientX;
+      startMouseY = lastMouseY = e.clientY;
+      startPositions = groupData.members.map(tableData => ({ x: tableData.x, y: tableData.y }));
+      
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    
+    const onPointerMove = (e) => {
+      if (e.pointerId !== dragPointerId) return;
+      
+      lastMouseX = e.clientX;
+      lastMouseY = e.clientY;
+      move.schedule();
+    };
+    
+    const onPointerUp = (e) => {
+      if (e.pointerId !== dragPointerId) return;
+      dragPointerId = null;
+      header.style.cursor = 'grab';
+      
+      move.flush();
+      this.updateAllRelationships();
+      
+      if (groupData.members.some((tableData, index) => tableData.x !== startPositions[index].x || tableData.y !== startPositions[index].y)) {
+        this.notifyLayoutChange();
+      }
+    };
+    
+    header.addEventListener('pointerdown', onPointerDown);
+    header.addEventListener('pointermove', onPointerMove);
+    header.addEventListener('pointerup', onPointerUp);
+    header.addEventListener('pointercancel', onPointerUp);
+    
+    groupData.renderer.toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleGroupCollapsed(groupData.group.name);
+    });
+  }
+  
+  renderEnums(enums) {
+    this.patchNodes(this.enums, enums, this.layers.enums, {
+      getKey: enumDef => `${enumDef.schemaName}.${enumDef.name}`,
+      getSignature: enumDef => JSON.stringify({ ...enumDef, id: undefined }),
+      createNode: enumDef => {
+        const enumRenderer = new EnumRenderer(enumDef, this);
+        const enumElement = enumRenderer.render();
+        this.makeDraggable(enumElement, `${enumDef.schemaName}.${enumDef.name}`, this.enums);
+        
+        return {
+          enumDef,
+          renderer: enumRenderer,
+          element: enumElement,
+          x: 0,
+          y: 0,
+          width: enumRenderer.width,
+          height: enumRenderer.getHeight()
+        };
+      },
+      reuseNode: (enumData, enumDef) => {
+        enumData.enumDef = enumDef;
+        enumData.renderer.enumDef = enumDef;
+      }
+    });
+  }
+  
+  /**
+   * Draws a dashed link from every enum-typed column to its enum node.
+   */
+  renderEnumLinks() {
+    this.enumLinks.forEach(link => link.element.remove());
+    this.enumLinks = [];
+    
+    this.tables.forEach(tableData => {
+      tableData.table.fields.forEach(field => {
+        const enumData = this.enums.get(`${field.type?.enum_schema}.${field.type?.enum_name}`);
+        if (!enumData) return;
+        
+        const linkRenderer = new EnumLinkRenderer(tableData, field, enumData, this);
+        this.layers.refs.appendChild(linkRenderer.render());
+        this.enumLinks.push(linkRenderer);
       });
     });
   }
   
+  /**
+   * Patches the relationship lines. Refs are keyed by their content, so an edited
+   * ref is replaced and untouched lines keep their elements.
+   */
   renderRelationships(refs) {
+    const previous = new Map(this.relationships);
+    this.relationships.clear();
+    
     refs.forEach(ref => {
+      const key = JSON.stringify({ ...ref, id: undefined });
+      if (this.relationships.has(key)) return;
+      const existing = previous.get(key);
+      if (existing) {
+        previous.delete(key);
+        existing.ref = ref;
+        existing.renderer.ref = ref;
+        existing.renderer.updateMarkers();
+        this.relationships.set(key, existing);
+        return;
+      }
+      
       const refRenderer = new RelationshipRenderer(ref, this);
       const refElement = refRenderer.render();
       
       if (refElement) {
         this.layers.refs.appendChild(refElement);
-        this.relationships.set(ref.id || ref.name, {
+        this.relationships.set(key, {
           ref,
           renderer: refRenderer,
           element: refElement
         });
       }
     });
+    
+    previous.forEach(relData => relData.element.remove());
   }
   
+  /**
+   * Positions every table and enum using the strategy named by `options.layout`.
+   */
   autoLayout() {
-    // Simple auto-layout to prevent overlapping
-    // This is a basic implementation - can be enhanced later
-    const tables = Array.from(this.tables.values());
+    this.cancelLayoutAnimation();
+    this.computeLayout().forEach(({ nodeData, x, y }) => {
+      this.setNodePosition(nodeData, x, y);
+    });
+    
+    this.updateTableGroups();
+    
+    // Update relationship lines after table positioning
+    this.updateAllRelationships();
+  }
+  
+  /**
+   * Re-runs the current layout strategy, easing nodes to their new positions.
+   */
+  relayout({ animate = true, duration = 400 } = {}) {
+    const reduceMotion = typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!animate || reduceMotion || typeof requestAnimationFrame !== 'function') {
+      this.autoLayout();
+      this.notifyLayoutChange();
+      return;
+    }
     
-    tables.forEach((tableData, index) => {
-      const cols = 3;
-      const spacing = 300;
-      const x = (index % cols) * spacing + 50;
-      const y = Math.floor(index / cols) * 250 + 50;
+    this.cancelLayoutAnimation();
+    const moves = this.computeLayout().map(move => ({
+      ...move,
+      startX: move.nodeData.x || 0,
+      startY: move.nodeData.y || 0
+    }));
+    let startTime = null;
+    
+    const step = (time) => {
+      if (startTime === null) startTime = time;
+      const progress = Math.min((time - startTime) / duration, 1);
+      const eased = progress < 0.5 ? 4 * progress ** 3 : 1 - (-2 * progress + 2) ** 3 / 2;
+      
+      moves.forEach(({ nodeData, x, y, startX, startY }) => {
+        this.setNodePosition(
+          nodeData,
+          Math.round(startX + (x - startX) * eased),
+          Math.round(startY + (y - startY) * eased)
+        );
+      });
+      this.updateTableGroups();
+      this.updateAllRelationships();
       
-      tableData.x = x;
-      tableData.y = y;
-      tableData.element.setAttribute('x', x);
-      tableData.element.setAttribute('y', y);
+      this.layoutAnimation = progress < 1 ? requestAnimationFrame(step) : null;
+      if (progress === 1) this.notifyLayoutChange();
+    };
+    this.layoutAnimation = requestAnimationFrame(step);
+  }
+  
+  cancelLayoutAnimation() {
+    if (this.layoutAnimation) {
+      cancelAnimationFrame(this.layoutAnimation);
+      this.layoutAnimation = null;
+    }
+  }
+  
+  /**
+   * Runs the selected strategy and returns `{ nodeData, x, y }` for every node it placed.
+   * Unknown strategy names fall back to 'layered'.
+   */
+  computeLayout(graph = this.getLayoutGraph()) {
+    const { nodes, edges, nodeData } = graph;
+    const strategy = LAYOUT_STRATEGIES.get(this.options.layout) || LAYOUT_STRATEGIES.get('layered');
+    const result = strategy(nodes, edges, this.options.layoutOptions || {});
+    const positions = result instanceof Map ? result : new Map(Object.entries(result || {}));
+    
+    const moves = [];
+    positions.forEach((position, id) => {
+      if (nodeData.has(id) && position) {
+        moves.push({ nodeData: nodeData.get(id), x: position.x, y: position.y });
+      }
+    });
+    return moves;
+  }
+  
+  /**
+   * Describes the diagram for a layout strategy. Nodes are
+   * { id, kind: 'table'|'enum', width, height, group } in layout order, and edges
+   * { from, to, kind: 'ref'|'enum' } point from the referencing table.
+   */
+  getLayoutGraph() {
+    const nodes = [];
+    const nodeData = new Map();
+    const edges = [];
+    
+    this.getLayoutOrder().forEach(tableData => {
+      const id = this.getNodeId(tableData);
+      nodes.push({
+        id,
+        kind: 'table',
+        width: tableData.width,
+        height: tableData.height,
+        group: tableData.group ? tableData.group.group.name : null
+      });
+      nodeData.set(id, tableData);
+    });
+    this.enums.forEach(enumData => {
+      const id = this.getNodeId(enumData);
+      nodes.push({ id, kind: 'enum', width: enumData.width, height: enumData.height, group: null });
+      nodeData.set(id, enumData);
     });
     
-    // Update relationship lines after table positioning
-    this.relationships.forEach(relData => {
-      relData.renderer.updatePath();
+    this.relationships.forEach(({ renderer }) => {
+      const relInfo = renderer.relInfo;
+      const from = this.findTableByName(relInfo.fromTable, relInfo.fromSchema);
+      const to = this.findTableByName(relInfo.toTable, relInfo.toSchema);
+      if (from && to) {
+        edges.push({ from: this.getTableKey(from.table), to: this.getTableKey(to.table), kind: 'ref' });
+      }
+    });
+    this.enumLinks.forEach(link => {
+      edges.push({
+        from: this.getTableKey(link.tableData.table),
+        to: this.getNodeId(link.enumData),
+        kind: 'enum'
+      });
+    });
+    
+    return { nodes, edges, nodeData };
+  }
+  
+  /**
+   * Id a table or enum node is laid out and persisted under: `schema.table` for
+   * tables and `enum:schema.name` for enums.
+   */
+  getNodeId(nodeData) {
+    if (nodeData.enumDef) {
+      return `enum:${nodeData.enumDef.schemaName || DEFAULT_SCHEMA}.${nodeData.enumDef.name}`;
+    }
+    return this.getTableKey(nodeData.table);
+  }
+  
+  /**
+   * Copies the current node positions into `knownPositions` before a re-render and
+   * returns the ids that were on screen. Removed nodes are remembered too, so undoing
+   * a deletion brings the table back where it was.
+   */
+  rememberPositions() {
+    const ids = new Set();
+    [...this.tables.values(), ...this.enums.values()].forEach(nodeData => {
+      const id = this.getNodeId(nodeData);
+      ids.add(id);
+      this.knownPositions.set(id, { x: nodeData.x, y: nodeData.y });
+    });
+    return ids;
+  }
+  
+  /**
+   * Puts nodes back at their known positions and lays out only the new ones.
+   * When a single node disappeared and a single one appeared, it is treated as a
+   * rename and keeps the old position.
+   */
+  restoreLayout(previousIds) {
+    const graph = this.getLayoutGraph();
+    const fresh = graph.nodes.filter(node => !this.knownPositions.has(node.id));
+    
+    if (fresh.length === graph.nodes.length) {
+      this.autoLayout();
+      if (fresh.length) this.notifyLayoutChange();
+      return;
+    }
+    
+    const removed = [...previousIds].filter(id => !graph.nodeData.has(id));
+    if (fresh.length === 1 && removed.length === 1 && fresh[0].id.startsWith('enum:') === removed[0].startsWith('enum:')) {
+      this.knownPositions.set(fresh[0].id, this.knownPositions.get(removed[0]));
+      this.knownPositions.delete(removed[0]);
+      fresh.length = 0;
+    }
+    
+    graph.nodes.forEach(node => {
+      const position = this.knownPositions.get(node.id);
+      if (position) this.setNodePosition(graph.nodeData.get(node.id), position.x, position.y);
+    });
+    if (fresh.length) this.layoutNewNodes(graph, fresh);
+    
+    this.updateTableGroups();
+    this.updateAllRelationships();
+    if (fresh.length) this.notifyLayoutChange();
+  }
+  
+  /**
+   * Lays out `fresh` nodes with the current strategy and places the result to the
+   * right of the existing diagram, so nothing the user arranged moves.
+   */
+  layoutNewNodes(graph, fresh) {
+    const freshIds = new Set(fresh.map(node => node.id));
+    const moves = this.computeLayout({
+      nodes: fresh,
+      edges: graph.edges.filter(edge => freshIds.has(edge.from) && freshIds.has(edge.to)),
+      nodeData: graph.nodeData
+    });
+    if (!moves.length) return;
+    
+    const placed = graph.nodes.filter(node => !freshIds.has(node.id)).map(node => graph.nodeData.get(node.id));
+    const right = Math.max(...placed.map(nodeData => nodeData.x + nodeData.width));
+    const top = Math.min(...placed.map(nodeData => nodeData.y));
+    const minX = Math.min(...moves.map(move => move.x));
+    const minY = Math.min(...moves.map(move => move.y));
+    
+    moves.forEach(({ nodeData, x, y }) => {
+      this.setNodePosition(nodeData, x - minX + right + 80, y - minY + top);
+    });
+  }
+  
+  /**
+   * Current node positions as a plain `{ [nodeId]: { x, y } }` object, ready for JSON.
+   */
+  getPositions() {
+    const positions = {};
+    [...this.tables.values(), ...this.enums.values()].forEach(nodeData => {
+      positions[this.getNodeId(nodeData)] = { x: Math.round(nodeData.x), y: Math.round(nodeData.y) };
+    });
+    return positions;
+  }
+  
+  /**
+   * Moves nodes to saved positions. Nodes missing from `positions` stay where they are.
+   */
+  setPositions(positions) {
+    this.cancelLayoutAnimation();
+    Object.entries(positions || {}).forEach(([id, position]) => {
+      if (position) this.knownPositions.set(id, position);
+    });
+    [...this.tables.values(), ...this.enums.values()].forEach(nodeData => {
+      const position = positions && positions[this.getNodeId(nodeData)];
+      if (position) this.setNodePosition(nodeData, position.x, position.y);
+    });
+    this.updateTableGroups();
+    this.updateAllRelationships();
+  }
+  
+  notifyLayoutChange() {
+    if (this.onLayoutChange) {
+      this.onLayoutChange(this.getPositions());
+    }
+  }
+  
+  /**
+   * Registers a layout strategy under `name`, selectable through `options.layout`.
+   * A strategy is called as `strategy(nodes, edges, layoutOptions)` (see getLayoutGraph)
+   * and returns a Map, or plain object, of node id to { x, y }.
+   */
+  static registerLayout(name, strategy) {
+    if (typeof strategy !== 'function') {
+      throw new TypeError(`Layout strategy '${name}' must be a function`);
+    }
+    LAYOUT_STRATEGIES.set(name, strategy);
+  }
+  
+  static getLayoutNames() {
+    return Array.from(LAYOUT_STRATEGIES.keys());
+  }
+  
+  setNodePosition(nodeData, x, y) {
+    nodeData.x = x;
+    nodeData.y = y;
+    nodeData.element.setAttribute('x', x);
+    nodeData.element.setAttribute('y', y);
+  }
+  
+  /**
+   * Moves a table or enum node by (`dx`, `dy`) diagram units, as a drag would.
+   */
+  nudgeNode(nodeData, dx, dy) {
+    this.setNodePosition(nodeData, nodeData.x + dx, nodeData.y + dy);
+    this.updateTableGroups();
+    this.updateAllRelationships();
+    this.revealNode(nodeData);
+    this.notifyLayoutChange();
+  }
+  
+  /**
+   * Pans just enough to bring a node fully into view, e.g. when it receives keyboard focus.
+   */
+  revealNode(nodeData, margin = 20) {
+    const width = this.svg.clientWidth;
+    const height = this.svg.clientHeight;
+    if (!width || !height) return;
+    
+    const topLeft = this.worldToScreen(nodeData.x, nodeData.y);
+    const bottomRight = this.worldToScreen(nodeData.x + nodeData.width, nodeData.y + nodeData.height);
+    const shift = (start, end, size) => {
+      if (end > size - margin) return Math.max(size - margin - end, margin - start);
+      if (start < margin) return margin - start;
+      return 0;
+    };
+    const dx = shift(topLeft.x, bottomRight.x, width);
+    const dy = shift(topLeft.y, bottomRight.y, height);
+    
+    if (dx || dy) {
+      this.state.pan.x += dx;
+      this.state.pan.y += dy;
+      this.updateViewport();
+    }
+  }
+  
+  /**
+   * Moves keyboard focus to a table, bringing it into view. Returns false when the
+   * table doesn't exist or is hidden.
+   */
+  focusTable(tableName, schemaName = null) {
+    const tableData = this.findTableByName(tableName, schemaName);
+    if (!tableData || tableData.element.style.display === 'none') return false;
+    
+    tableData.element.focus({ preventScroll: true });
+    this.revealNode(tableData);
+    return true;
+  }
+  
+  /**
+   * Lists tables with the members of each group next to each other, so group regions stay compact.
+   */
+  getLayoutOrder() {
+    const ordered = [];
+    this.tableGroups.forEach(groupData => ordered.push(...groupData.members));
+    this.tables.forEach(tableData => {
+      if (!tableData.group) ordered.push(tableData);
     });
+    return ordered;
   }
   
   getTablePosition(tableId) {
@@ -201,26 +1109,60 @@ export class DiagramRenderer {
     return tableData ? { x: tableData.x, y: tableData.y } : { x: 0, y: 0 };
   }
   
-  makeDraggable(element, table) {
-    let isDragging = false;
-    let startX, startY, startMouseX, startMouseY;
+  /**
+   * Lets a table or enum node be dragged by its header. `key` locates the node's
+   * position record in `collection`.
+   */
+  makeDraggable(element, key, collection = this.tables) {
+    let dragPointerId = null;
+    let startX, startY, startMouseX, startMouseY, lastMouseX, lastMouseY;
     
-    const header = element.querySelector('.db-table-header');
+    const header = element.querySelector('.db-table-header, .db-enum-header');
     if (!header) return;
     
+    const move = throttleToFrame(() => {
+      // Pointer movement is in screen pixels; the node moves in diagram units.
+      const deltaX = (lastMouseX - startMouseX) / this.state.zoom;
+      const deltaY = (lastMouseY - startMouseY) / this.state.zoom;
+      
+      const newX = startX + deltaX;
+      const newY = startY + deltaY;
+      
+      const viewportWidth = this.svg.clientWidth / this.state.zoom;
+      const viewportHeight = this.svg.clientHeight / this.state.zoom;
+      const constrainedX = Math.max(-1000, Math.min(newX, viewportWidth + 1000));
+      const constrainedY = Math.max(-1000, Math.min(newY, viewportHeight + 1000));
+      
+      const nodes = collection.has(key) ? [collection.get(key)] : [];
+      const previousBoxes = nodes.map(nodeData => copyBox(this.getRoutingTarget(nodeData)));
+      
+      element.setAttribute('x', constrainedX);
+      element.setAttribute('y', constrainedY);
+      nodes.forEach(nodeData => {
+        nodeData.x = constrainedX;
+        nodeData.y = constrainedY;
+      });
+      
+      this.updateTableGroups();
+      this.updateDraggedRelationships(nodes, previousBoxes);
+    });
+    
     header.style.cursor = 'grab';
+    header.style.touchAction = 'none';
     
-    const onMouseDown = (e) => {
-      isDragging = true;
+    const onPointerDown = (e) => {
+      if (dragPointerId !== null || !e.isPrimary || e.button !== 0) return;
+      
+      dragPointerId = e.pointerId;
+      header.setPointerCapture(e.pointerId);
       header.style.cursor = 'grabbing';
       element.classList.add('db-table__dragging');
       
       this.setAllTablesOpacity(0.3);
       element.style.opacity = '0.8';
       
-      const rect = this.svg.getBoundingClientRect();
-      startMouseX = e.clientX - rect.left;
-      startMouseY = e.clientY - rect.top;
+      startMouseX = lastMouseX = e.clientX;
+      startMouseY = lastMouseY = e.clientY;
       startX = parseFloat(element.getAttribute('x'));
       startY = parseFloat(element.getAttribute('y'));
       
@@ -228,112 +1170,228 @@ export class DiagramRenderer {
       e.stopPropagation();
     };
     
-    const onMouseMove = (e) => {
-      if (!isDragging) return;
-      
-      const rect = this.svg.getBoundingClientRect();
-      const currentMouseX = e.clientX - rect.left;
-      const currentMouseY = e.clientY - rect.top;
-      
-      const deltaX = currentMouseX - startMouseX;
-      const deltaY = currentMouseY - startMouseY;
-      
-      const newX = startX + deltaX;
-      const newY = startY + deltaY;
-      
-      const viewportWidth = this.svg.clientWidth / this.state.zoom;
-      const viewportHeight = this.svg.clientHeight / this.state.zoom;
-      const constrainedX = Math.max(-1000, Math.min(newX, viewportWidth + 1000));
-      const constrainedY = Math.max(-1000, Math.min(newY, viewportHeight + 1000));
+    const onPointerMove = (e) => {
+      if (e.pointerId !== dragPointerId) return;
       
-      element.setAttribute('x', constrainedX);
-      element.setAttribute('y', constrainedY);
-      
-      const tableData = this.tables.get(table.id || table.name);
-      if (tableData) {
-        tableData.x = constrainedX;
-        tableData.y = constrainedY;
-      }
-      
-      this.updateAllRelationships();
+      lastMouseX = e.clientX;
+      lastMouseY = e.clientY;
+      move.schedule();
     };
     
-    const onMouseUp = () => {
-      isDragging = false;
+    const onPointerUp = (e) => {
+      if (e.pointerId !== dragPointerId) return;
+      dragPointerId = null;
       header.style.cursor = 'grab';
       element.classList.remove('db-table__dragging');
       
+      move.flush();
+      this.updateAllRelationships();
+      
       this.setAllTablesOpacity(1.0);
+      
+      const nodeData = collection.get(key);
+      if (nodeData && (nodeData.x !== startX || nodeData.y !== startY)) {
+        this.notifyLayoutChange();
+      }
     };
     
-    header.addEventListener('mousedown', onMouseDown);
-    document.addEventListener('mousemove', onMouseMove);
-    document.addEventListener('mouseup', onMouseUp);
+    header.addEventListener('pointerdown', onPointerDown);
+    header.addEventListener('pointermove', onPointerMove);
+    header.addEventListener('pointerup', onPointerUp);
+    header.addEventListener('pointercancel', onPointerUp);
   }
   
+  /**
+   * Re-routes every line, then spreads overlapping lines into lanes and adds hop-overs
+   * where they cross.
+   */
   updateAllRelationships() {
-    this.relationships.forEach(relData => {
-      relData.renderer.updatePath();
+    const renderers = Array.from(this.relationships.values(), relData => relData.renderer);
+    renderers.forEach(renderer => renderer.updatePath());
+    this.separateRelationships(renderers);
+    this.enumLinks.forEach(link => link.updatePath());
+  }
+  
+  /**
+   * Spreads the renderers' current routes into lanes and redraws them with hop-overs.
+   */
+  separateRelationships(renderers) {
+    const routes = this.edgeSeparator.separate(renderers.map(renderer => renderer.points));
+    const verticals = this.edgeSeparator.verticalSegments(routes);
+    renderers.forEach((renderer, index) => {
+      if (routes[index]) {
+        renderer.pathElement.setAttribute('d', this.edgeSeparator.toPathData(routes, index, verticals));
+      }
     });
   }
+  
+  /**
+   * Redraws lines while nodes are dragged, at most once per frame. Routing every line
+   * on each move is too slow for large schemas, so only lines attached to a moved node,
+   * or whose route runs through a moved node's previous or new box, are re-routed.
+   * Those are drawn without lanes or hop-overs until the drag ends; every other line
+   * keeps its path and lane, so lines the user isn't moving don't jump about.
+   * Drags end with a full updateAllRelationships.
+   */
+  updateDraggedRelationships(movedNodes, previousBoxes) {
+    const moved = new Set(movedNodes);
+    const boxes = [...previousBoxes, ...movedNodes.map(nodeData => this.getRoutingTarget(nodeData))];
+    
+    this.relationships.forEach(({ renderer }) => {
+      if (renderer.isAttachedTo(moved) || renderer.crossesAny(boxes)) {
+        renderer.updatePath();
+      }
+    });
+    this.enumLinks.forEach(link => link.updatePath());
+  }
 
   setAllTablesOpacity(opacity) {
     this.tables.forEach(tableData => {
       tableData.element.style.opacity = opacity;
     });
+    this.enums.forEach(enumData => {
+      enumData.element.style.opacity = opacity;
+    });
+  }
+
+  /**
+   * Shows a popover with `getLines()` while the pointer is over `element`.
+   * Each line is { text, className }.
+   */
+  attachTooltip(element, getLines) {
+    element.addEventListener('mouseenter', (e) => this.showTooltip(getLines(), e));
+    element.addEventListener('mousemove', (e) => this.positionTooltip(e));
+    element.addEventListener('mouseleave', () => this.hideTooltip());
+  }
+  
+  showTooltip(lines, e) {
+    if (!this.tooltip) {
+      this.tooltip = this.document.createElement('div');
+      this.tooltip.className = 'db-tooltip';
+      this.container.appendChild(this.tooltip);
+    }
+    
+    this.tooltip.replaceChildren(...lines.map(line => {
+      const lineElement = this.document.createElement('div');
+      lineElement.className = line.className || '';
+      lineElement.textContent = line.text;
+      return lineElement;
+    }));
+    this.tooltip.style.display = 'block';
+    this.positionTooltip(e);
+  }
+  
+  positionTooltip(e) {
+    if (!this.tooltip || this.tooltip.style.display === 'none') return;
+    
+    const rect = this.container.getBoundingClientRect();
+    const x = e.clientX - rect.left + 12;
+    const y = e.clientY - rect.top + 12;
+    const maxX = rect.width - this.tooltip.offsetWidth - 4;
+    
+    this.tooltip.style.left = `${Math.max(4, Math.min(x, maxX))}px`;
+    this.tooltip.style.top = `${y}px`;
+  }
+  
+  hideTooltip() {
+    if (this.tooltip) {
+      this.tooltip.style.display = 'none';
+    }
   }
 
   /**
-   * Sets up mouse wheel zoom and pan interactions.
+   * Sets up zoom and pan on pointer input. The wheel zooms around the pointer, and so
+   * does a trackpad pinch, which browsers report as a wheel event with `ctrlKey`. The
+   * mouse pans with the middle button, or the left one with Shift or in pan mode. One
+   * finger pans and two fingers pan and pinch-zoom around their centre.
    */
   setupZoomPan() {
+    const touches = new Map();
+    let pinch = null;
+    
+    this.svg.style.touchAction = 'none';
+    
+    const toSvgPoint = (e) => {
+      const rect = this.svg.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    
+    const startPinch = () => {
+      const [first, second] = touches.values();
+      pinch = {
+        zoom: this.state.zoom,
+        distance: Math.max(1, Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY)),
+        center: { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 }
+      };
+    };
+    
     this.svg.addEventListener('wheel', (e) => {
       e.preventDefault();
       
-      const rect = this.svg.getBoundingClientRect();
-      const mouseX = e.clientX - rect.left;
-      const mouseY = e.clientY - rect.top;
-      
-      const zoomFactor = e.deltaY > 0 ? 0.95 : 1.05;
-      const newZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.state.zoom * zoomFactor));
-      
-      if (newZoom !== this.state.zoom) {
-        const zoomPoint = this.screenToWorld(mouseX, mouseY);
-        
-        this.state.zoom = newZoom;
-        
-        const newScreenPoint = this.worldToScreen(zoomPoint.x, zoomPoint.y);
-        this.state.pan.x += mouseX - newScreenPoint.x;
-        this.state.pan.y += mouseY - newScreenPoint.y;
-        
-        this.updateViewport();
+      const point = toSvgPoint(e);
+      // Pinch deltas are small and continuous; scale them instead of stepping.
+      const zoomFactor = e.ctrlKey ? Math.exp(-e.deltaY * 0.01) : (e.deltaY > 0 ? 0.95 : 1.05);
+      this.zoomAt(this.state.zoom * zoomFactor, point.x, point.y);
+    }, { passive: false });
+    
+    this.svg.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'touch') {
+        this.svg.setPointerCapture(e.pointerId);
+        touches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY, ...toSvgPoint(e) });
         
-        if (this.onZoomChange) {
-          this.onZoomChange(this.state.zoom);
+        if (touches.size === 1) {
+          this.startPan(e);
+        } else if (touches.size === 2) {
+          this.isPanning = false;
+          startPinch();
         }
+        e.preventDefault();
+        return;
       }
-    });
-    
-    this.svg.addEventListener('mousedown', (e) => {
-      const isPanModeActive = this.container.closest('db-diagram-viewer')?.isPanModeActive;
       
-      if (e.button === 1 || (e.button === 0 && (e.shiftKey || isPanModeActive))) {
+      if (e.button === 1 || (e.button === 0 && (e.shiftKey || this.isPanModeActive))) {
         e.preventDefault();
+        this.svg.setPointerCapture(e.pointerId);
         this.startPan(e);
       }
     });
     
-    document.addEventListener('mousemove', (e) => {
-      if (this.isPanning) {
+    this.svg.addEventListener('pointermove', (e) => {
+      if (touches.has(e.pointerId)) {
+        touches.set(e.pointerId, { clientX: e.clientX, clientY: e.clientY, ...toSvgPoint(e) });
+      }
+      
+      if (pinch && touches.size >= 2) {
+        const [first, second] = touches.values();
+        const distance = Math.max(1, Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY));
+        const center = { x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 };
+        
+        this.state.pan.x += center.x - pinch.center.x;
+        this.state.pan.y += center.y - pinch.center.y;
+        pinch.center = center;
+        this.zoomAt(pinch.zoom * distance / pinch.distance, center.x, center.y);
+      } else if (this.isPanning) {
         this.updatePan(e);
       }
     });
     
-    document.addEventListener('mouseup', (e) => {
-      if (this.isPanning) {
+    const onPointerUp = (e) => {
+      if (touches.delete(e.pointerId)) {
+        if (touches.size === 1) {
+          // Lifting one finger of a pinch carries on as a one-finger pan.
+          pinch = null;
+          this.startPan(touches.values().next().value);
+        } else if (touches.size >= 2) {
+          startPinch();
+        }
+      }
+      
+      if (this.isPanning && touches.size === 0) {
         this.endPan();
       }
-    });
+    };
+    this.svg.addEventListener('pointerup', onPointerUp);
+    this.svg.addEventListener('pointercancel', onPointerUp);
     
     this.svg.addEventListener('contextmenu', (e) => {
       if (e.button === 1) {
@@ -341,16 +1399,34 @@ export class DiagramRenderer {
       }
     });
   }
+  
+  /**
+   * Zooms to `zoom`, clamped to minZoom/maxZoom, keeping the diagram point under the
+   * screen point (`screenX`, `screenY`) in place.
+   */
+  zoomAt(zoom, screenX, screenY) {
+    const newZoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    const zoomPoint = this.screenToWorld(screenX, screenY);
+    const changed = newZoom !== this.state.zoom;
+    
+    this.state.zoom = newZoom;
+    
+    const newScreenPoint = this.worldToScreen(zoomPoint.x, zoomPoint.y);
+    this.state.pan.x += screenX - newScreenPoint.x;
+    this.state.pan.y += screenY - newScreenPoint.y;
+    
+    this.updateViewport();
+    
+    if (changed && this.onZoomChange) {
+      this.onZoomChange(this.state.zoom);
+    }
+  }
 
   startPan(e) {
     this.isPanning = true;
     this.lastPanPoint = { x: e.clientX, y: e.clientY };
     this.svg.style.cursor = 'grabbing';
-    
-    const diagramContainer = this.container.closest('db-diagram-viewer')?.querySelector(`[id*="diagram-container"]`);
-    if (diagramContainer) {
-      diagramContainer.style.cursor = 'grabbing';
-    }
+    this.container.style.cursor = 'grabbing';
   }
 
   updatePan(e) {
@@ -369,12 +1445,7 @@ export class DiagramRenderer {
   endPan() {
     this.isPanning = false;
     this.svg.style.cursor = 'default';
-    
-    const widget = this.container.closest('db-diagram-viewer');
-    const diagramContainer = widget?.querySelector(`[id*="diagram-container"]`);
-    if (diagramContainer && widget) {
-      diagramContainer.style.cursor = widget.isPanModeActive ? 'grab' : 'default';
-    }
+    this.container.style.cursor = this.isPanModeActive ? 'grab' : 'default';
   }
 
   updateViewport() {
@@ -433,8 +1504,89 @@ export class DiagramRenderer {
     return Math.round(this.state.zoom * 100);
   }
   
-  findTableByName(tableName) {
-    for (const [key, tableData] of this.tables.entries()) {
+  /**
+   * World-space box around everything visible: tables, enums, group regions and lines.
+   */
+  getContentBounds() {
+    const boxes = [];
+    this.tables.forEach(tableData => {
+      if (this.isTableVisible(tableData) && !tableData.group?.collapsed) boxes.push(tableData);
+    });
+    this.enums.forEach(enumData => {
+      if (this.isSchemaVisible(enumData.enumDef.schemaName)) boxes.push(enumData);
+    });
+    this.tableGroups.forEach(groupData => {
+      if (groupData.element.style.display === 'none') return;
+      boxes.push(groupData.collapsed ? groupData.renderer.getCollapsedBox() : groupData.renderer.bounds);
+    });
+    this.relationships.forEach(({ renderer }) => {
+      (renderer.points || []).forEach(point => boxes.push({ x: point.x, y: point.y, width: 0, height: 0 }));
+    });
+    
+    if (!boxes.length) return { x: 0, y: 0, width: 0, height: 0 };
+    
+    const minX = Math.min(...boxes.map(box => box.x));
+    const minY = Math.min(...boxes.map(box => box.y));
+    const maxX = Math.max(...boxes.map(box => box.x + box.width));
+    const maxY = Math.max(...boxes.map(box => box.y + box.height));
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+  
+  /**
+   * Serializes the diagram as a standalone SVG document cropped to its content,
+   * regardless of the current pan and zoom. `styles` is CSS embedded in the file;
+   * `background` fills the canvas unless null.
+   */
+  exportSVG({ styles = '', background = '#ffffff', padding = 20 } = {}) {
+    const bounds = this.getContentBounds();
+    const width = Math.ceil(bounds.width + padding * 2);
+    const height = Math.ceil(bounds.height + padding * 2);
+    
+    const clone = this.svg.cloneNode(true);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    clone.setAttribute('style', 'font-family: Arial, sans-serif;');
+    
+    clone.querySelector('#background-layer').remove();
+    clone.querySelector('#viewport-layer')
+      .setAttribute('transform', `translate(${padding - bounds.x}, ${padding - bounds.y})`);
+    clone.querySelectorAll('.db-node--exiting').forEach(element => element.remove());
+    clone.removeAttribute('tabindex');
+    clone.querySelectorAll('.db-table, .db-field').forEach(element => element.removeAttribute('tabindex'));
+    clone.querySelectorAll('.db-node--entering, .db-table__dragging').forEach(element => {
+      element.classList.remove('db-node--entering', 'db-table__dragging');
+      element.style.opacity = '';
+    });
+    
+    if (background) {
+      const backgroundRect = this.createSVGElement('rect', { width, height, fill: background });
+      clone.insertBefore(backgroundRect, clone.firstChild);
+    }
+    if (styles) {
+      const style = this.createSVGElement('style');
+      style.textContent = styles;
+      clone.insertBefore(style, clone.firstChild);
+    }
+    
+    // Documents without a window (the headless one) serialize their own nodes.
+    const Serializer = this.document.defaultView?.XMLSerializer;
+    return Serializer ? new Serializer().serializeToString(clone) : clone.outerHTML;
+  }
+  
+  /**
+   * Looks a table up by name. With a schema the match is exact; without one the
+   * default schema wins, then the first table of that name in any schema.
+   */
+  findTableByName(tableName, schemaName = null) {
+    if (schemaName) {
+      return this.tables.get(`${schemaName}.${tableName}`) || null;
+    }
+    
+    const defaultMatch = this.tables.get(`${DEFAULT_SCHEMA}.${tableName}`);
+    if (defaultMatch) return defaultMatch;
+    
+    for (const tableData of this.tables.values()) {
       if (tableData.table.name === tableName) {
         return tableData;
       }
@@ -442,8 +1594,8 @@ export class DiagramRenderer {
     return null;
   }
   
-  getFieldPosition(tableName, fieldName) {
-    const tableData = this.findTableByName(tableName);
+  getFieldPosition(tableName, fieldName, schemaName = null) {
+    const tableData = this.findTableByName(tableName, schemaName);
     if (!tableData) return { x: 0, y: 0, side: 'right' };
     
     const fieldIndex = tableData.table.fields.findIndex(f => f.name === fieldName);
@@ -464,8 +1616,8 @@ export class DiagramRenderer {
     };
   }
   
-  getFieldInputPosition(tableName, fieldName) {
-    const tableData = this.findTableByName(tableName);
+  getFieldInputPosition(tableName, fieldName, schemaName = null) {
+    const tableData = this.findTableByName(tableName, schemaName);
     if (!tableData) return { x: 0, y: 0, side: 'left' };
     
     const fieldIndex = tableData.table.fields.findIndex(f => f.name === fieldName);
@@ -497,16 +1649,36 @@ export class TableRenderer {
     this.width = 250;
     this.headerHeight = 35;
     this.fieldHeight = 30;
+    this.indexesHeaderHeight = 24;
+    this.indexHeight = 22;
+    this.indexesExpanded = false;
+    this.element = null;
+  }
+  
+  hasIndexFooter() {
+    return this.diagram.options.showIndexes !== false && (this.table.indexes || []).length > 0;
+  }
+  
+  getFieldsHeight() {
+    return this.headerHeight + (this.table.fields.length * this.fieldHeight);
+  }
+  
+  getHeight() {
+    if (!this.hasIndexFooter()) return this.getFieldsHeight();
+    
+    const rowsHeight = this.indexesExpanded ? this.table.indexes.length * this.indexHeight : 0;
+    return this.getFieldsHeight() + this.indexesHeaderHeight + rowsHeight;
   }
   
   render() {
-    const height = this.headerHeight + (this.table.fields.length * this.fieldHeight);
+    const height = this.getHeight();
     
     const tableGroup = this.diagram.createSVGElement('svg', {
       class: 'db-table',
       width: this.width,
       height: height
     });
+    this.element = tableGroup;
     
     const background = this.diagram.createSVGElement('rect', {
       class: 'db-table__background',
@@ -529,16 +1701,137 @@ export class TableRenderer {
     });
     tableGroup.appendChild(fieldsGroup);
     
+    if (this.hasIndexFooter()) {
+      this.background = background;
+      this.indexesFooter = this.renderIndexesFooter();
+      tableGroup.appendChild(this.indexesFooter);
+    }
+    
     return tableGroup;
   }
   
+  /**
+   * Shows or hides the index rows in the footer and resizes the table.
+   */
+  setIndexesExpanded(expanded) {
+    if (!this.indexesFooter || this.indexesExpanded === expanded) return;
+    
+    this.indexesExpanded = expanded;
+    const footer = this.renderIndexesFooter();
+    this.element.replaceChild(footer, this.indexesFooter);
+    this.indexesFooter = footer;
+    
+    const height = this.getHeight();
+    this.element.setAttribute('height', height);
+    this.background.setAttribute('height', height);
+    this.diagram.onTableResized(this.table);
+  }
+  
+  /**
+   * Renders the collapsible "Indexes" section below the columns.
+   */
+  renderIndexesFooter() {
+    const top = this.getFieldsHeight();
+    const footer = this.diagram.createSVGElement('g', { class: 'db-table-indexes' });
+    
+    const toggle = this.diagram.createSVGElement('g', { class: 'db-table-indexes__toggle' });
+    toggle.appendChild(this.diagram.createSVGElement('rect', {
+      y: top,
+      width: this.width,
+      height: this.indexesHeaderHeight,
+      fill: '#eceff1',
+      stroke: '#e0e0e0',
+      'stroke-width': '0.5'
+    }));
+    const label = this.diagram.createSVGElement('text', {
+      class: 'db-table-indexes__label',
+      x: '12',
+      y: top + 16,
+      'font-size': '11px',
+      'font-weight': 'bold',
+      'font-family': 'Arial, sans-serif',
+      fill: '#546e7a'
+    });
+    label.textContent = `${this.indexesExpanded ? '▾' : '▸'} Indexes (${this.table.indexes.length})`;
+    toggle.appendChild(label);
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.setIndexesExpanded(!this.indexesExpanded);
+    });
+    footer.appendChild(toggle);
+    
+    if (this.indexesExpanded) {
+      this.table.indexes.forEach((index, position) => {
+        footer.appendChild(this.renderIndex(index, top + this.indexesHeaderHeight + position * this.indexHeight));
+      });
+    }
+    
+    return footer;
+  }
+  
+  formatIndexColumns(index) {
+    const columns = index.columns.map(column => column.type === 'expression' ? `\`${column.value}\`` : column.value);
+    return columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+  }
+  
+  renderIndex(index, y) {
+    const indexGroup = this.diagram.createSVGElement('g', { class: 'db-table-index' });
+    
+    indexGroup.appendChild(this.diagram.createSVGElement('rect', {
+      y,
+      width: this.width,
+      height: this.indexHeight,
+      fill: '#fafafa',
+      stroke: '#f0f0f0',
+      'stroke-width': '0.5'
+    }));
+    
+    const columnsText = this.diagram.createSVGElement('text', {
+      class: 'db-table-index__columns',
+      x: '12',
+      y: y + 15,
+      'font-size': '11px',
+      'font-family': 'monospace',
+      fill: '#333'
+    });
+    columnsText.textContent = this.formatIndexColumns(index);
+    indexGroup.appendChild(columnsText);
+    
+    const kinds = [index.pk && 'PK', index.unique && 'UQ', index.type].filter(Boolean);
+    const properties = [
+      index.pk && 'primary key',
+      index.unique && 'unique',
+      index.type && `type: ${index.type}`
+    ].filter(Boolean);
+    const kindText = this.diagram.createSVGElement('text', {
+      class: 'db-table-index__kind',
+      x: this.width - 12,
+      y: y + 15,
+      'text-anchor': 'end',
+      'font-size': '10px',
+      'font-family': 'Arial, sans-serif',
+      fill: '#78909c'
+    });
+    kindText.textContent = kinds.join(' · ');
+    indexGroup.appendChild(kindText);
+    
+    this.diagram.attachTooltip(indexGroup, () => [
+      { text: index.name || this.formatIndexColumns(index), className: 'db-tooltip__title' },
+      { text: properties.join(' · ') || 'index', className: 'db-tooltip__constraints' },
+      ...(index.note ? [{ text: index.note, className: 'db-tooltip__note' }] : [])
+    ]);
+    
+    return indexGroup;
+  }
+  
   renderHeader() {
     const headerGroup = this.diagram.createSVGElement('g', { class: 'db-table-header' });
     
     const headerBg = this.diagram.createSVGElement('rect', {
       width: this.width,
       height: this.headerHeight,
-      fill: '#2196F3',
+      fill: this.table.headerColor ||
+        (this.diagram.isMultiSchema() ? this.diagram.getSchemaColor(this.table.schemaName) : '#2196F3'),
       rx: '4'
     });
     headerGroup.appendChild(headerBg);
@@ -552,12 +1845,137 @@ export class TableRenderer {
       'font-size': '14px',
       'font-family': 'Arial, sans-serif'
     });
-    nameText.textContent = this.table.name;
+    nameText.textContent = this.diagram.isMultiSchema()
+      ? `${this.table.schemaName}.${this.table.name}`
+      : this.table.name;
     headerGroup.appendChild(nameText);
     
+    if (this.table.note) {
+      const noteIcon = this.renderNoteIcon(this.width - 20, this.headerHeight / 2, 'white');
+      noteIcon.classList.add('db-table-header__note');
+      this.diagram.attachTooltip(noteIcon, () => [
+        { text: this.table.name, className: 'db-tooltip__title' },
+        { text: this.table.note, className: 'db-tooltip__note' }
+      ]);
+      headerGroup.appendChild(noteIcon);
+    }
+    
     return headerGroup;
   }
   
+  /**
+   * Small "i" badge marking an element that has a note.
+   */
+  renderNoteIcon(cx, cy, color) {
+    const icon = this.diagram.createSVGElement('g', { class: 'db-note-icon' });
+    icon.appendChild(this.diagram.createSVGElement('circle', {
+      cx,
+      cy,
+      r: '7',
+      fill: 'none',
+      stroke: color,
+      'stroke-width': '1.5'
+    }));
+    const label = this.diagram.createSVGElement('text', {
+      x: cx,
+      y: cy + 4,
+      'text-anchor': 'middle',
+      'font-size': '10px',
+      'font-weight': 'bold',
+      'font-family': 'Georgia, serif',
+      fill: color
+    });
+    label.textContent = 'i';
+    icon.appendChild(label);
+    return icon;
+  }
+  
+  /**
+   * Short labels for the column's constraints, shown as badges in the row.
+   */
+  getFieldBadges(field) {
+    const badges = [];
+    if (field.not_null && !field.pk) badges.push({ label: 'NN', title: 'not null' });
+    if (field.unique) badges.push({ label: 'UQ', title: 'unique' });
+    if (field.increment) badges.push({ label: 'AI', title: 'increment' });
+    if (field.dbdefault) badges.push({ label: 'DEF', title: `default: ${this.formatDefault(field.dbdefault)}` });
+    return badges;
+  }
+  
+  formatDefault(dbdefault) {
+    switch (dbdefault.type) {
+      case 'string': return `'${dbdefault.value}'`;
+      case 'expression': return `\`${dbdefault.value}\``;
+      case 'null': return 'null';
+      default: return String(dbdefault.value);
+    }
+  }
+  
+  /**
+   * Lines shown in the hover popover for a column.
+   */
+  getFieldTooltip(field) {
+    const lines = [
+      { text: `${field.name}: ${field.type?.type_name || 'unknown'}`, className: 'db-tooltip__title' }
+    ];
+    const constraints = [
+      field.pk && 'primary key',
+      ...this.getFieldBadges(field).map(badge => badge.title)
+    ].filter(Boolean);
+    if (constraints.length) {
+      lines.push({ text: constraints.join(' · '), className: 'db-tooltip__constraints' });
+    }
+    if (field.note) {
+      lines.push({ text: field.note, className: 'db-tooltip__note' });
+    }
+    return lines;
+  }
+  
+  renderBadges(field, y) {
+    const badgesGroup = this.diagram.createSVGElement('g', { class: 'db-field__badges' });
+    const badges = this.getFieldBadges(field);
+    const typeName = field.type?.type_name || 'unknown';
+    let right = this.width - 18 - typeName.length * 6;
+    
+    if (field.note) {
+      const noteIcon = this.renderNoteIcon(right - 7, y + 15, '#90a4ae');
+      badgesGroup.appendChild(noteIcon);
+      right -= 18;
+    }
+    
+    badges.slice().reverse().forEach(badge => {
+      const badgeWidth = badge.label.length * 6 + 6;
+      right -= badgeWidth;
+      
+      badgesGroup.appendChild(this.diagram.createSVGElement('rect', {
+        class: 'db-field__badge',
+        x: right,
+        y: y + 8,
+        width: badgeWidth,
+        height: 14,
+        rx: '3',
+        fill: '#eceff1',
+        stroke: '#cfd8dc',
+        'stroke-width': '0.5'
+      }));
+      const label = this.diagram.createSVGElement('text', {
+        class: 'db-field__badge-label',
+        x: right + badgeWidth / 2,
+        y: y + 18.5,
+        'text-anchor': 'middle',
+        'font-size': '8px',
+        'font-weight': 'bold',
+        'font-family': 'Arial, sans-serif',
+        fill: '#607d8b'
+      });
+      label.textContent = badge.label;
+      badgesGroup.appendChild(label);
+      right -= 3;
+    });
+    
+    return badgesGroup;
+  }
+  
   renderField(field, index) {
     const y = this.headerHeight + (index * this.fieldHeight);
     
@@ -597,6 +2015,11 @@ export class TableRenderer {
       fill: '#666'
     });
     typeText.textContent = field.type?.type_name || 'unknown';
+    if (field.type?.enum_name) {
+      typeText.setAttribute('class', 'db-field__type db-field__type--enum');
+      typeText.setAttribute('fill', ENUM_COLOR);
+      typeText.setAttribute('font-style', 'italic');
+    }
     fieldGroup.appendChild(typeText);
     
     if (field.pk) {
@@ -628,44 +2051,424 @@ export class TableRenderer {
       fieldGroup.appendChild(fkIcon);
     }
     
+    fieldGroup.appendChild(this.renderBadges(field, y));
+    this.diagram.attachTooltip(fieldGroup, () => this.getFieldTooltip(field));
+    
     return fieldGroup;
   }
 }
 
+/**
+ * Renders a TableGroup as a labelled, tinted region behind its member tables.
+ * The region follows its tables and can collapse to a single box.
+ */
+export class TableGroupRenderer {
+  constructor(group, members, diagramRenderer, index = 0) {
+    this.group = group;
+    this.members = members;
+    this.diagram = diagramRenderer;
+    this.color = group.color || GROUP_COLORS[index % GROUP_COLORS.length];
+    this.padding = 20;
+    this.headerHeight = 28;
+    this.element = null;
+    this.header = null;
+    this.toggle = null;
+    this.bounds = { x: 0, y: 0, width: 0, height: 0 };
+  }
+  
+  render() {
+    this.element = this.diagram.createSVGElement('g', {
+      class: 'db-table-group',
+      'data-group': this.group.name
+    });
+    
+    this.background = this.diagram.createSVGElement('rect', {
+      class: 'db-table-group__background',
+      fill: this.color,
+      'fill-opacity': '0.08',
+      stroke: this.color,
+      'stroke-opacity': '0.6',
+      'stroke-width': '1.5',
+      rx: '8'
+    });
+    this.element.appendChild(this.background);
+    
+    this.header = this.diagram.createSVGElement('g', { class: 'db-table-group__header' });
+    this.headerBg = this.diagram.createSVGElement('rect', {
+      height: this.headerHeight,
+      fill: this.color,
+      'fill-opacity': '0.85',
+      rx: '8'
+    });
+    this.header.appendChild(this.headerBg);
+    
+    this.label = this.diagram.createSVGElement('text', {
+      class: 'db-table-group__name',
+      'font-size': '13px',
+      'font-weight': 'bold',
+      'font-family': 'Arial, sans-serif',
+      fill: 'white'
+    });
+    this.label.textContent = this.group.name;
+    this.header.appendChild(this.label);
+    
+    this.toggle = this.diagram.createSVGElement('text', {
+      class: 'db-table-group__toggle',
+      'font-size': '13px',
+      'font-family': 'Arial, sans-serif',
+      'text-anchor': 'end',
+      fill: 'white'
+    });
+    this.header.appendChild(this.toggle);
+    
+    if (this.group.note) {
+      const title = this.diagram.createSVGElement('title');
+      title.textContent = this.group.note;
+      this.header.appendChild(title);
+    }
+    
+    this.element.appendChild(this.header);
+    this.update();
+    return this.element;
+  }
+  
+  /**
+   * Recomputes the region from the current member positions.
+   */
+  update() {
+    if (!this.element) return;
+    
+    const collapsed = this.isCollapsed();
+    this.bounds = this.computeBounds();
+    
+    const { x, y } = this.bounds;
+    const box = collapsed ? this.getCollapsedBox() : this.bounds;
+    
+    this.background.setAttribute('x', x);
+    this.background.setAttribute('y', y);
+    this.background.setAttribute('width', box.width);
+    this.background.setAttribute('height', box.height);
+    this.background.setAttribute('fill-opacity', collapsed ? '0.2' : '0.08');
+    
+    this.headerBg.setAttribute('x', x);
+    this.headerBg.setAttribute('y', y);
+    this.headerBg.setAttribute('width', box.width);
+    
+    this.label.setAttribute('x', x + 12);
+    this.label.setAttribute('y', y + 19);
+    this.label.textContent = collapsed
+      ? `${this.group.name} (${this.members.length} tables)`
+      : this.group.name;
+    
+    this.toggle.setAttribute('x', x + box.width - 10);
+    this.toggle.setAttribute('y', y + 19);
+    this.toggle.textContent = collapsed ? '▸' : '▾';
+  }
+  
+  isCollapsed() {
+    return this.diagram.tableGroups.get(this.group.name)?.collapsed || false;
+  }
+  
+  computeBounds() {
+    if (!this.members.length) {
+      return { ...this.bounds, width: 200, height: this.headerHeight + this.padding };
+    }
+    
+    const minX = Math.min(...this.members.map(t => t.x));
+    const minY = Math.min(...this.members.map(t => t.y));
+    const maxX = Math.max(...this.members.map(t => t.x + t.width));
+    const maxY = Math.max(...this.members.map(t => t.y + t.height));
+    
+    return {
+      x: minX - this.padding,
+      y: minY - this.padding - this.headerHeight,
+      width: maxX - minX + this.padding * 2,
+      height: maxY - minY + this.padding * 2 + this.headerHeight
+    };
+  }
+  
+  /**
+   * Box used in place of the member tables while collapsed. Shaped like table data
+   * so relationship lines can attach to it.
+   */
+  getCollapsedBox() {
+    if (!this.collapsedBox) {
+      this.collapsedBox = { table: { name: this.group.name, fields: [] }, isGroupBox: true };
+    }
+    return Object.assign(this.collapsedBox, {
+      x: this.bounds.x,
+      y: this.bounds.y,
+      width: 250,
+      height: this.headerHeight + 32
+    });
+  }
+}
+
+/**
+ * Renders a DBML enum as a compact node listing its values and their notes.
+ */
+export class EnumRenderer {
+  constructor(enumDef, diagramRenderer) {
+    this.enumDef = enumDef;
+    this.diagram = diagramRenderer;
+    this.width = 180;
+    this.headerHeight = 28;
+    this.valueHeight = 22;
+  }
+  
+  getHeight() {
+    return this.headerHeight + Math.max(this.enumDef.values.length, 1) * this.valueHeight;
+  }
+  
+  render() {
+    const height = this.getHeight();
+    
+    const enumGroup = this.diagram.createSVGElement('svg', {
+      class: 'db-enum',
+      width: this.width,
+      height: height
+    });
+    
+    const background = this.diagram.createSVGElement('rect', {
+      class: 'db-enum__background',
+      width: this.width,
+      height: height,
+      fill: '#faf5fc',
+      stroke: '#ce93d8',
+      'stroke-width': '1',
+      rx: '4'
+    });
+    enumGroup.appendChild(background);
+    
+    const headerGroup = this.diagram.createSVGElement('g', { class: 'db-enum-header' });
+    const headerBg = this.diagram.createSVGElement('rect', {
+      width: this.width,
+      height: this.headerHeight,
+      fill: ENUM_COLOR,
+      rx: '4'
+    });
+    headerGroup.appendChild(headerBg);
+    
+    const nameText = this.diagram.createSVGElement('text', {
+      class: 'db-enum-header__name',
+      x: '10',
+      y: '18',
+      fill: 'white',
+      'font-weight': 'bold',
+      'font-size': '12px',
+      'font-family': 'Arial, sans-serif'
+    });
+    nameText.textContent = `«enum» ${this.enumDef.name}`;
+    headerGroup.appendChild(nameText);
+    enumGroup.appendChild(headerGroup);
+    
+    this.enumDef.values.forEach((value, index) => {
+      enumGroup.appendChild(this.renderValue(value, index));
+    });
+    
+    return enumGroup;
+  }
+  
+  renderValue(value, index) {
+    const y = this.headerHeight + (index * this.valueHeight);
+    const valueGroup = this.diagram.createSVGElement('g', { class: 'db-enum__value' });
+    
+    const nameText = this.diagram.createSVGElement('text', {
+      class: 'db-enum__value-name',
+      x: '10',
+      y: y + 15,
+      'font-size': '11px',
+      'font-family': 'Arial, sans-serif',
+      fill: '#333'
+    });
+    nameText.textContent = value.name;
+    valueGroup.appendChild(nameText);
+    
+    if (value.note) {
+      const noteText = this.diagram.createSVGElement('text', {
+        class: 'db-enum__value-note',
+        x: this.width - 8,
+        y: y + 15,
+        'text-anchor': 'end',
+        'font-size': '10px',
+        'font-style': 'italic',
+        'font-family': 'Arial, sans-serif',
+        fill: '#888'
+      });
+      noteText.textContent = value.note.length > 16 ? `${value.note.slice(0, 15)}…` : value.note;
+      valueGroup.appendChild(noteText);
+      
+      const title = this.diagram.createSVGElement('title');
+      title.textContent = `${value.name}: ${value.note}`;
+      valueGroup.appendChild(title);
+    }
+    
+    return valueGroup;
+  }
+}
+
+/**
+ * Renders the dashed line joining an enum-typed column to its enum node.
+ */
+export class EnumLinkRenderer {
+  constructor(tableData, field, enumData, diagramRenderer) {
+    this.tableData = tableData;
+    this.field = field;
+    this.enumData = enumData;
+    this.diagram = diagramRenderer;
+    this.element = null;
+  }
+  
+  render() {
+    this.element = this.diagram.createSVGElement('path', {
+      class: 'db-enum-link',
+      stroke: ENUM_COLOR,
+      'stroke-width': '1.5',
+      'stroke-dasharray': '4 3',
+      fill: 'none'
+    });
+    this.updatePath();
+    return this.element;
+  }
+  
+  updatePath() {
+    if (!this.element) return;
+    
+    const { enumData } = this;
+    const visible = this.diagram.isTableVisible(this.tableData) &&
+      this.diagram.isSchemaVisible(enumData.enumDef.schemaName);
+    this.element.style.display = visible ? '' : 'none';
+    if (!visible) return;
+    
+    const tableData = this.diagram.getRoutingTarget(this.tableData);
+    const fieldIndex = tableData.table.fields.indexOf(this.field);
+    const fieldY = fieldIndex === -1
+      ? tableData.y + tableData.height / 2
+      : tableData.y + 35 + (fieldIndex * 30) + 15;
+    const enumY = enumData.y + 14;
+    
+    const enumIsRight = enumData.x + enumData.width / 2 >= tableData.x + tableData.width / 2;
+    const startX = enumIsRight ? tableData.x + tableData.width : tableData.x;
+    const endX = enumIsRight ? enumData.x : enumData.x + enumData.width;
+    const bendX = (startX + endX) / 2;
+    
+    this.element.setAttribute('d', `M ${startX} ${fieldY} L ${bendX} ${fieldY} L ${bendX} ${enumY} L ${endX} ${enumY}`);
+  }
+}
+
 /**
  * Renders relationship lines between database tables.
+ * Composite refs get a bracket on each table joining every participating column to a single line.
  */
 export class RelationshipRenderer {
   constructor(ref, diagramRenderer) {
     this.ref = ref;
     this.diagram = diagramRenderer;
     this.element = null;
+    this.pathElement = null;
+    this.bracketElement = null;
+    this.points = null;
   }
   
   render() {
     const relInfo = this.parseRelationship();
     if (!relInfo) return null;
     
-    this.element = this.diagram.createSVGElement('path', {
+    const isManyToMany = relInfo.relation === 'many-to-many';
+    const isComposite = relInfo.fromFields.length > 1 || relInfo.toFields.length > 1;
+    const color = this.ref.color || (isManyToMany ? MANY_TO_MANY_COLOR : REF_COLOR);
+    
+    this.element = this.diagram.createSVGElement('g', {
+      class: `db-ref db-ref--${relInfo.relation}${isComposite ? ' db-ref--composite' : ''}`,
+      'data-relation': relInfo.relation
+    });
+    
+    this.pathElement = this.diagram.createSVGElement('path', {
       class: 'db-ref__path',
-      stroke: '#666',
+      stroke: color,
       'stroke-width': '2',
-      fill: 'none',
-      'marker-end': 'url(#arrowhead)'
+      fill: 'none'
     });
+    if (isManyToMany) {
+      this.pathElement.setAttribute('stroke-dasharray', '6 4');
+    }
+    
+    const title = this.diagram.createSVGElement('title');
+    const fromColumns = this.formatColumns(relInfo.fromTable, relInfo.fromFields);
+    const toColumns = this.formatColumns(relInfo.toTable, relInfo.toFields);
+    title.textContent = `${fromColumns} → ${toColumns} (${relInfo.relation})`;
+    this.pathElement.appendChild(title);
+    this.element.appendChild(this.pathElement);
+    
+    if (isComposite) {
+      this.bracketElement = this.diagram.createSVGElement('path', {
+        class: 'db-ref__bracket',
+        stroke: color,
+        'stroke-width': '2',
+        fill: 'none'
+      });
+      this.element.appendChild(this.bracketElement);
+    }
     
     this.relInfo = relInfo;
+    this.updateMarkers();
     this.updatePath();
     return this.element;
   }
   
+  /**
+   * Sets the end markers. They depend on the referencing columns' nullability, which
+   * is not part of the ref, so reused lines call this again after every render.
+   */
+  updateMarkers() {
+    if (!this.pathElement || !this.relInfo) return;
+    
+    const markers = this.getEndMarkers(this.relInfo);
+    const markerSuffix = this.relInfo.relation === 'many-to-many' ? '-m2m' : '';
+    this.pathElement.setAttribute('marker-start', `url(#marker-${markers.from}${markerSuffix})`);
+    this.pathElement.setAttribute('marker-end', `url(#marker-${markers.to}${markerSuffix})`);
+  }
+  
+  formatColumns(tableName, fieldNames) {
+    return fieldNames.length === 1
+      ? `${tableName}.${fieldNames[0]}`
+      : `${tableName}.(${fieldNames.join(', ')})`;
+  }
+  
+  /**
+   * Picks the crow's-foot marker for each end of the line. The "one" end is optional
+   * when any referencing column is nullable.
+   */
+  getEndMarkers(relInfo) {
+    const fromTableData = this.diagram.findTableByName(relInfo.fromTable, relInfo.fromSchema);
+    const isOptional = relInfo.fromFields.some(fieldName => {
+      const field = fromTableData?.table.fields.find(f => f.name === fieldName);
+      return !field || !(field.not_null || field.pk);
+    });
+    const oneMarker = isOptional ? 'zero-or-one' : 'one';
+    
+    switch (relInfo.relation) {
+      case 'one-to-one':
+        return { from: 'zero-or-one', to: oneMarker };
+      case 'many-to-many':
+        return { from: 'zero-or-many', to: 'zero-or-many' };
+      default:
+        return { from: 'zero-or-many', to: oneMarker };
+    }
+  }
+  
   parseRelationship() {
     if (this.ref.fromTable && this.ref.toTable) {
       return {
+        fromSchema: this.ref.fromSchema || null,
         fromTable: this.ref.fromTable,
-        fromField: this.ref.fromField,
+        fromFields: this.ref.fromFields || [this.ref.fromField],
+        toSchema: this.ref.toSchema || null,
         toTable: this.ref.toTable,
-        toField: this.ref.toField
+        toFields: this.ref.toFields || [this.ref.toField],
+        relation: this.ref.relation || 'many-to-one',
+        fromRelation: this.ref.fromRelation || '*',
+        toRelation: this.ref.toRelation || '1'
       };
     }
     
@@ -674,9 +2477,12 @@ export class RelationshipRenderer {
       if (parts.length === 2) {
         return {
           fromTable: parts[0],
-          fromField: 'id',
+          fromFields: ['id'],
           toTable: parts[1],
-          toField: 'id'
+          toFields: ['id'],
+          relation: 'many-to-one',
+          fromRelation: '*',
+          toRelation: '1'
         };
       }
     }
@@ -687,50 +2493,134 @@ export class RelationshipRenderer {
   updatePath() {
     if (!this.element || !this.relInfo) return;
     
-    const fromTableData = this.diagram.findTableByName(this.relInfo.fromTable);
-    const toTableData = this.diagram.findTableByName(this.relInfo.toTable);
+    const fromTable = this.diagram.findTableByName(this.relInfo.fromTable, this.relInfo.fromSchema);
+    const toTable = this.diagram.findTableByName(this.relInfo.toTable, this.relInfo.toSchema);
+    this.points = null;
+    if (!this.diagram.isTableVisible(fromTable) || !this.diagram.isTableVisible(toTable)) {
+      this.element.style.display = 'none';
+      return;
+    }
+    
+    const fromTableData = this.diagram.getRoutingTarget(fromTable);
+    const toTableData = this.diagram.getRoutingTarget(toTable);
+    
+    // Both ends folded into the same collapsed group
+    const isHidden = fromTableData === toTableData && fromTableData.isGroupBox;
+    this.element.style.display = isHidden ? 'none' : '';
+    if (isHidden) return;
+    
+    const { fromSide, toSide } = this.getPortSides(fromTableData, toTableData);
+    const fromPoints = this.relInfo.fromFields.map(f => this.getConnectionPoint(fromTableData, f, fromSide));
+    const toPoints = this.relInfo.toFields.map(f => this.getConnectionPoint(toTableData, f, toSide));
+    
+    let start = fromPoints[0];
+    let end = toPoints[0];
+    if (this.bracketElement) {
+      const fromBracket = this.createBracket(fromPoints);
+      const toBracket = this.createBracket(toPoints);
+      this.bracketElement.setAttribute('d', `${fromBracket.path} ${toBracket.path}`);
+      start = fromBracket.anchor;
+      end = toBracket.anchor;
+    }
+    
+    this.points = fromTableData === toTableData
+      ? this.getSelfLoopPoints(start, end)
+      : this.diagram.router.route(start, end, this.diagram.getRoutingObstacles());
+    this.pathElement.setAttribute('d', this.diagram.edgeSeparator.toPathData([this.points], 0));
+  }
+  
+  /**
+   * Whether either end of the line is on one of the tables in the `tables` set.
+   */
+  isAttachedTo(tables) {
+    if (!this.relInfo) return false;
+    return tables.has(this.diagram.findTableByName(this.relInfo.fromTable, this.relInfo.fromSchema)) ||
+      tables.has(this.diagram.findTableByName(this.relInfo.toTable, this.relInfo.toSchema));
+  }
+  
+  /**
+   * Whether the current route runs through any of `boxes`.
+   */
+  crossesAny(boxes) {
+    const points = this.points;
+    if (!points) return false;
+    
+    return boxes.some(box => points.slice(1).some((b, i) => {
+      const a = points[i];
+      return Math.max(a.x, b.x) > box.x && Math.min(a.x, b.x) < box.x + box.width &&
+        Math.max(a.y, b.y) > box.y && Math.min(a.y, b.y) < box.y + box.height;
+    }));
+  }
+  
+  /**
+   * Joins the column ports of one side of a composite ref with short ticks and a
+   * vertical spine, returning the spine midpoint for the main line to attach to.
+   */
+  createBracket(points) {
+    const side = points[0].side;
+    const bracketX = points[0].x + (side === 'left' ? -1 : 1) * (PORT_STUB / 2);
+    const ys = points.map(point => point.y);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
     
-    if (!fromTableData || !toTableData) return;
+    const ticks = points.map(point => `M ${point.x} ${point.y} L ${bracketX} ${point.y}`);
+    const spine = `M ${bracketX} ${minY} L ${bracketX} ${maxY}`;
     
-    const fromPos = this.getConnectionPoint(fromTableData, this.relInfo.fromField, toTableData);
-    const toPos = this.getConnectionPoint(toTableData, this.relInfo.toField, fromTableData, true);
+    return {
+      path: [...ticks, spine].join(' '),
+      anchor: { x: bracketX, y: (minY + maxY) / 2, side }
+    };
+  }
+  
+  /**
+   * Chooses which table edges the line leaves from and enters, so the end markers
+   * sit on the outside of each table rather than underneath it. Tables that overlap
+   * horizontally are joined on the side where their edges are closest.
+   */
+  getPortSides(fromTableData, toTableData) {
+    if (fromTableData.x + fromTableData.width + PORT_STUB * 2 <= toTableData.x) {
+      return { fromSide: 'right', toSide: 'left' };
+    }
+    if (toTableData.x + toTableData.width + PORT_STUB * 2 <= fromTableData.x) {
+      return { fromSide: 'left', toSide: 'right' };
+    }
     
-    const path = this.createManhattanPath(fromPos, toPos);
-    this.element.setAttribute('d', path);
+    const leftGap = Math.abs(fromTableData.x - toTableData.x);
+    const rightGap = Math.abs((fromTableData.x + fromTableData.width) - (toTableData.x + toTableData.width));
+    const side = leftGap < rightGap ? 'left' : 'right';
+    return { fromSide: side, toSide: side };
   }
   
-  getConnectionPoint(tableData, fieldName, otherTableData, isTarget = false) {
+  getConnectionPoint(tableData, fieldName, side) {
     const fieldIndex = tableData.table.fields.findIndex(f => f.name === fieldName);
     const fieldY = fieldIndex === -1 
       ? tableData.y + tableData.height / 2
       : tableData.y + 35 + (fieldIndex * 30) + 15;
     
-    const fieldCenterX = tableData.x + 50;
-    
     return {
-      x: fieldCenterX,
+      x: side === 'left' ? tableData.x : tableData.x + tableData.width,
       y: fieldY,
-      side: 'center'
+      side
     };
   }
   
   /**
-   * Creates a Manhattan-style path (right angles) between connection points.
+   * Corner points of a self-reference loop off the table's right edge. A column that
+   * references itself gets two ports a little apart so the loop stays visible.
    */
-  createManhattanPath(start, end) {
-    const startX = start.x;
-    const startY = start.y;
-    const endX = end.x;
-    const endY = end.y;
-    
-    if (Math.abs(startY - endY) < 15) {
-      return `M ${startX} ${startY} L ${endX} ${endY}`;
+  getSelfLoopPoints(start, end) {
+    const loopX = Math.max(start.x, end.x) + PORT_STUB * 2;
+    let startY = start.y;
+    let endY = end.y;
+    if (Math.abs(startY - endY) < 1) {
+      startY -= 6;
+      endY += 6;
     }
-    
-    const tableMargin = 20;
-    const targetTableX = endX - 50;
-    const bendX = targetTableX - tableMargin;
-    
-    return `M ${startX} ${startY} L ${bendX} ${startY} L ${bendX} ${endY} L ${endX} ${endY}`;
+    return [
+      { x: start.x, y: startY },
+      { x: loopX, y: startY },
+      { x: loopX, y: endY },
+      { x: end.x, y: endY }
+    ];
   }
-}
\ No newline at end of file
+}
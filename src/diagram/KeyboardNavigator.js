@@ -0,0 +1,237 @@
+const DIRECTIONS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 }
+};
+
+/**
+ * Diagram units a table moves per Shift+arrow press, and screen pixels the view
+ * moves per arrow press when the diagram itself has focus.
+ */
+const NUDGE_STEP = 10;
+const PAN_STEP = 40;
+
+/**
+ * Keyboard support for a DiagramRenderer. Tables are in the tab order and their columns
+ * are reached with Enter:
+ *
+ * - diagram: arrows pan, `+` / `-` zoom, `1` zooms to 100%, `0` resets the view
+ * - table: arrows move to the nearest table in that direction, Shift+arrows nudge it,
+ *   Home / End go to the first / last table, Enter enters its columns, Escape leaves it
+ * - column: Up / Down move between columns, Enter follows its relationships in turn,
+ *   Escape returns to the table
+ */
+export class KeyboardNavigator {
+  constructor(diagram) {
+    this.diagram = diagram;
+    this.followed = null;
+  }
+
+  attach(svg) {
+    svg.addEventListener('keydown', (e) => this.onKeyDown(e));
+    svg.addEventListener('focusin', (e) => {
+      const tableData = this.findTableData(e.target);
+      if (tableData) {
+        this.diagram.revealNode(tableData);
+      }
+    });
+  }
+
+  onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const tableData = this.findTableData(e.target);
+    const fieldElement = e.target.closest('.db-field');
+    let handled = this.onZoomKey(e);
+    if (!handled && tableData && fieldElement) {
+      handled = this.onFieldKey(e, tableData, fieldElement);
+    } else if (!handled && tableData) {
+      handled = this.onTableKey(e, tableData);
+    } else if (!handled && e.target === this.diagram.svg) {
+      handled = this.onDiagramKey(e);
+    }
+
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  onZoomKey(e) {
+    switch (e.key) {
+      case '+':
+      case '=':
+        this.diagram.zoomIn();
+        return true;
+      case '-':
+      case '_':
+        this.diagram.zoomOut();
+        return true;
+      case '1':
+        this.diagram.zoomToStandard();
+        return true;
+      case '0':
+        this.diagram.resetZoom();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  onDiagramKey(e) {
+    const direction = DIRECTIONS[e.key];
+    if (!direction) return false;
+
+    this.diagram.state.pan.x -= direction.x * PAN_STEP;
+    this.diagram.state.pan.y -= direction.y * PAN_STEP;
+    this.diagram.updateViewport();
+    return true;
+  }
+
+  onTableKey(e, tableData) {
+    const direction = DIRECTIONS[e.key];
+    if (direction && e.shiftKey) {
+      this.diagram.nudgeNode(tableData, direction.x * NUDGE_STEP, direction.y * NUDGE_STEP);
+      return true;
+    }
+    if (direction) {
+      const nearest = this.findNearestTable(tableData, direction);
+      if (nearest) {
+        this.focus(nearest.element);
+      }
+      return true;
+    }
+
+    const tables = this.getVisibleTables();
+    switch (e.key) {
+      case 'Home':
+        this.focus(tables[0]?.element);
+        return true;
+      case 'End':
+        this.focus(tables[tables.length - 1]?.element);
+        return true;
+      case 'Enter':
+        this.focus(tableData.element.querySelector('.db-field'));
+        return true;
+      case 'Escape':
+        this.focus(this.diagram.svg);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  onFieldKey(e, tableData, fieldElement) {
+    if (e.shiftKey && DIRECTIONS[e.key]) {
+      return this.onTableKey(e, tableData);
+    }
+
+    const fields = Array.from(tableData.element.querySelectorAll('.db-field'));
+    const index = fields.indexOf(fieldElement);
+    switch (e.key) {
+      case 'ArrowUp':
+        this.focus(fields[Math.max(0, index - 1)]);
+        return true;
+      case 'ArrowDown':
+        this.focus(fields[Math.min(fields.length - 1, index + 1)]);
+        return true;
+      case 'Enter':
+        this.followRelationship(tableData, fieldElement, index);
+        return true;
+      case 'Escape':
+        this.focus(tableData.element);
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Moves focus to the column at the other end of one of the column's relationships.
+   * Pressing Enter again on the same column goes to the next one.
+   */
+  followRelationship(tableData, fieldElement, index) {
+    const field = tableData.table.fields[index];
+    if (!field) return;
+
+    const targets = this.getRelatedFields(tableData, field.name);
+    if (!targets.length) return;
+
+    const position = this.followed?.element === fieldElement ? (this.followed.position + 1) % targets.length : 0;
+    const target = targets[position];
+    const targetElement = target.tableData.element.querySelectorAll('.db-field')[target.fieldIndex];
+    this.focus(targetElement || target.tableData.element);
+    this.followed = { element: fieldElement, position };
+  }
+
+  /**
+   * Columns linked to `fieldName` by a ref, in either direction, on visible tables.
+   */
+  getRelatedFields(tableData, fieldName) {
+    const isSameTable = (schemaName, tableName) => this.diagram.findTableByName(tableName, schemaName) === tableData;
+    const targets = [];
+    const addTarget = (schemaName, tableName, targetField) => {
+      const target = this.diagram.findTableByName(tableName, schemaName);
+      if (!target || !this.diagram.isTableVisible(target)) return;
+      targets.push({ tableData: target, fieldIndex: Math.max(0, target.table.fields.findIndex(f => f.name === targetField)) });
+    };
+
+    this.diagram.relationships.forEach(({ ref }) => {
+      const fromIndex = ref.fromFields.indexOf(fieldName);
+      if (fromIndex !== -1 && isSameTable(ref.fromSchema, ref.fromTable)) {
+        addTarget(ref.toSchema, ref.toTable, ref.toFields[fromIndex] || ref.toFields[0]);
+      }
+      const toIndex = ref.toFields.indexOf(fieldName);
+      if (toIndex !== -1 && isSameTable(ref.toSchema, ref.toTable)) {
+        addTarget(ref.fromSchema, ref.fromTable, ref.fromFields[toIndex] || ref.fromFields[0]);
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * The visible table whose centre lies closest in `direction`, preferring tables
+   * straight ahead over ones off to the side.
+   */
+  findNearestTable(tableData, direction) {
+    const center = (data) => ({ x: data.x + data.width / 2, y: data.y + data.height / 2 });
+    const origin = center(tableData);
+    let nearest = null;
+    let bestScore = Infinity;
+
+    this.getVisibleTables().forEach(other => {
+      if (other === tableData) return;
+      const point = center(other);
+      const dx = point.x - origin.x;
+      const dy = point.y - origin.y;
+      const ahead = dx * direction.x + dy * direction.y;
+      if (ahead <= 0) return;
+
+      const aside = Math.abs(dx * direction.y - dy * direction.x);
+      const score = ahead + aside * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        nearest = other;
+      }
+    });
+    return nearest;
+  }
+
+  getVisibleTables() {
+    return Array.from(this.diagram.tables.values())
+      .filter(tableData => tableData.element.style.display !== 'none');
+  }
+
+  findTableData(target) {
+    const element = target.closest?.('.db-table');
+    if (!element) return null;
+    return Array.from(this.diagram.tables.values()).find(tableData => tableData.element === element) || null;
+  }
+
+  focus(element) {
+    if (element) {
+      element.focus({ preventScroll: true });
+    }
+  }
+}
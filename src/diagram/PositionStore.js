@@ -0,0 +1,57 @@
+/**
+ * Position stores persist the `{ [nodeId]: { x, y } }` object returned by
+ * DiagramRenderer.getPositions(). Any object with `load()` and `save(positions)`
+ * can be assigned to the element's `positionStore` property.
+ */
+
+/**
+ * Keeps positions in localStorage under a fixed key.
+ */
+export class LocalStoragePositionStore {
+  constructor(key) {
+    this.key = key;
+  }
+
+  load() {
+    try {
+      const saved = window.localStorage.getItem(this.key);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn(`Could not read saved diagram positions '${this.key}':`, error);
+      return null;
+    }
+  }
+
+  save(positions) {
+    try {
+      window.localStorage.setItem(this.key, JSON.stringify(positions));
+    } catch (error) {
+      console.warn(`Could not save diagram positions '${this.key}':`, error);
+    }
+  }
+}
+
+/**
+ * Mirrors positions into a JSON attribute on an element, so they travel with its markup.
+ */
+export class AttributePositionStore {
+  constructor(element, attributeName = 'positions') {
+    this.element = element;
+    this.attributeName = attributeName;
+  }
+
+  load() {
+    const value = this.element.getAttribute(this.attributeName);
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Ignoring invalid JSON in the '${this.attributeName}' attribute:`, error);
+      return null;
+    }
+  }
+
+  save(positions) {
+    this.element.setAttribute(this.attributeName, JSON.stringify(positions));
+  }
+}
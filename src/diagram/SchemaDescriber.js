@@ -0,0 +1,114 @@
+const DEFAULT_SCHEMA = 'public';
+
+const RELATION_NAMES = {
+  'many-to-one': 'many to one',
+  'one-to-one': 'one to one',
+  'many-to-many': 'many to many'
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const joinNames = (names) => {
+  if (names.length <= 1) return names.join('');
+  return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+/**
+ * Plain-language descriptions of the diagram model, used for the diagram's ARIA labels
+ * and the text outline, e.g. "posts table, 5 columns, references users".
+ */
+export class SchemaDescriber {
+  constructor(model) {
+    const collect = (key) => (model?.schemas || []).flatMap(schema => schema[key] || []);
+    this.tables = collect('tables');
+    this.enums = collect('enums');
+    this.refs = collect('refs');
+  }
+
+  isTable(table, schemaName, name) {
+    return table.name === name && (table.schemaName || DEFAULT_SCHEMA) === (schemaName || DEFAULT_SCHEMA);
+  }
+
+  /**
+   * Name to read out for a table: `schema.table` outside the default schema.
+   */
+  getDisplayName(schemaName, name) {
+    return schemaName && schemaName !== DEFAULT_SCHEMA ? `${schemaName}.${name}` : name;
+  }
+
+  getTableName(table) {
+    return this.getDisplayName(table.schemaName, table.name);
+  }
+
+  /**
+   * Refs leaving `table` (it holds the foreign key) and refs arriving at it.
+   */
+  getOutgoingRefs(table) {
+    return this.refs.filter(ref => this.isTable(table, ref.fromSchema, ref.fromTable));
+  }
+
+  getIncomingRefs(table) {
+    return this.refs.filter(ref => this.isTable(table, ref.toSchema, ref.toTable));
+  }
+
+  describeTable(table) {
+    const parts = [`${this.getTableName(table)} table`, plural(table.fields.length, 'column')];
+
+    const referenced = [...new Set(this.getOutgoingRefs(table).map(ref => this.getDisplayName(ref.toSchema, ref.toTable)))];
+    if (referenced.length) {
+      parts.push(`references ${joinNames(referenced)}`);
+    }
+    const referencing = [...new Set(this.getIncomingRefs(table).map(ref => this.getDisplayName(ref.fromSchema, ref.fromTable)))];
+    if (referencing.length) {
+      parts.push(`referenced by ${joinNames(referencing)}`);
+    }
+    return parts.join(', ');
+  }
+
+  describeField(table, field) {
+    const parts = [field.name, field.type?.type_name || 'unknown type'];
+    if (field.pk || (table.primaryKey || []).includes(field.name)) parts.push('primary key');
+    if (field.not_null && !field.pk) parts.push('not null');
+    if (field.unique) parts.push('unique');
+    if (field.increment) parts.push('auto-increment');
+    if (field.dbdefault) parts.push(`default ${field.dbdefault.value}`);
+
+    this.getOutgoingRefs(table).forEach(ref => {
+      const index = ref.fromFields.indexOf(field.name);
+      if (index !== -1) {
+        parts.push(`references ${this.getDisplayName(ref.toSchema, ref.toTable)}.${ref.toFields[index] || ref.toFields[0]}`);
+      }
+    });
+    this.getIncomingRefs(table).forEach(ref => {
+      const index = ref.toFields.indexOf(field.name);
+      if (index !== -1) {
+        parts.push(`referenced by ${this.getDisplayName(ref.fromSchema, ref.fromTable)}.${ref.fromFields[index] || ref.fromFields[0]}`);
+      }
+    });
+    return parts.join(', ');
+  }
+
+  describeRef(ref) {
+    const from = `${this.getDisplayName(ref.fromSchema, ref.fromTable)}.${ref.fromFields.join(', ')}`;
+    const to = `${this.getDisplayName(ref.toSchema, ref.toTable)}.${ref.toFields.join(', ')}`;
+    const relation = RELATION_NAMES[ref.relation] || ref.relation;
+    return relation ? `${from} references ${to}, ${relation}` : `${from} references ${to}`;
+  }
+
+  describeEnum(enumDef) {
+    const name = this.getDisplayName(enumDef.schemaName, enumDef.name);
+    const values = (enumDef.values || []).map(value => value.name);
+    return `${name} enum: ${values.join(', ')}`;
+  }
+
+  /**
+   * One-line summary of the whole diagram, e.g. "3 tables, 2 relationships".
+   */
+  describeSchema() {
+    const parts = [plural(this.tables.length, 'table'), plural(this.refs.length, 'relationship')];
+    if (this.enums.length) {
+      parts.push(plural(this.enums.length, 'enum'));
+    }
+    return parts.join(', ');
+  }
+}
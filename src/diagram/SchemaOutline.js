@@ -0,0 +1,76 @@
+import { SchemaDescriber } from './SchemaDescriber.js';
+
+/**
+ * Text alternative to the diagram: every table with its columns, then the relationships
+ * and enums, as nested lists. Each table has a "Show in diagram" button carrying the
+ * table's `data-table` and `data-schema`, so the caller can move focus to it.
+ */
+export class SchemaOutline {
+  constructor(model, document) {
+    this.model = model;
+    this.document = document;
+    this.describer = new SchemaDescriber(model);
+  }
+
+  render() {
+    const { tables, refs, enums } = this.describer;
+    const root = this.createElement('div', 'schema-outline');
+    root.appendChild(this.createElement('p', 'schema-outline__summary', this.getSummary()));
+
+    if (tables.length) {
+      root.appendChild(this.createElement('h3', 'schema-outline__heading', 'Tables'));
+      root.appendChild(this.createList(tables.map(table => this.renderTable(table))));
+    }
+    if (refs.length) {
+      root.appendChild(this.createElement('h3', 'schema-outline__heading', 'Relationships'));
+      root.appendChild(this.createList(refs.map(ref => this.createElement('li', '', this.describer.describeRef(ref)))));
+    }
+    if (enums.length) {
+      root.appendChild(this.createElement('h3', 'schema-outline__heading', 'Enums'));
+      root.appendChild(this.createList(enums.map(enumDef => this.createElement('li', '', this.describer.describeEnum(enumDef)))));
+    }
+    return root;
+  }
+
+  getSummary() {
+    const name = this.model?.project?.name;
+    const summary = this.describer.describeSchema();
+    return name ? `${name}: ${summary}.` : `${summary.charAt(0).toUpperCase()}${summary.slice(1)}.`;
+  }
+
+  renderTable(table) {
+    const item = this.createElement('li', 'schema-outline__table');
+    const title = this.createElement('div', 'schema-outline__title');
+    title.appendChild(this.createElement('span', '', this.describer.describeTable(table)));
+
+    const showButton = this.createElement('button', 'schema-outline__show', 'Show in diagram');
+    showButton.type = 'button';
+    showButton.dataset.table = table.name;
+    showButton.dataset.schema = table.schemaName || '';
+    showButton.setAttribute('aria-label', `Show ${this.describer.getTableName(table)} in diagram`);
+    title.appendChild(showButton);
+    item.appendChild(title);
+
+    if (table.note) {
+      item.appendChild(this.createElement('p', 'schema-outline__note', table.note));
+    }
+    item.appendChild(this.createList(table.fields.map(field => {
+      const text = this.describer.describeField(table, field);
+      return this.createElement('li', '', field.note ? `${text}. ${field.note}` : text);
+    })));
+    return item;
+  }
+
+  createList(items) {
+    const list = this.createElement('ul');
+    items.forEach(item => list.appendChild(item));
+    return list;
+  }
+
+  createElement(tagName, className = '', text = '') {
+    const element = this.document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * CSS for the SVG diagram. Used by the element and embedded in exported SVG files,
+ * including those rendered in Node by renderToSVGString.
+ */
+export const DIAGRAM_STYLES = `
+.db-table {
+  cursor: pointer;
+  transition: all 0.2s ease;
+}
+
+.db-table:hover {
+  filter: drop-shadow(0 4px 8px rgba(0,0,0,0.1));
+}
+
+.db-table-header__name {
+  font-family: Arial, sans-serif;
+  font-size: 14px;
+  font-weight: bold;
+  fill: white;
+  user-select: none;
+  pointer-events: none;
+}
+
+.db-field__name {
+  font-family: Arial, sans-serif;
+  font-size: 12px;
+  fill: #333;
+  pointer-events: none;
+  user-select: none;
+}
+
+.db-field__type {
+  font-family: Arial, sans-serif;
+  font-size: 11px;
+  fill: #666;
+  pointer-events: none;
+  user-select: none;
+}
+
+.db-table-group__name {
+  user-select: none;
+  pointer-events: none;
+}
+
+.db-table-group__toggle {
+  cursor: pointer;
+  user-select: none;
+}
+
+.db-enum {
+  cursor: pointer;
+}
+
+.db-enum-header__name,
+.db-enum__value-name,
+.db-enum__value-note {
+  user-select: none;
+  pointer-events: none;
+}
+
+.db-enum-link {
+  pointer-events: none;
+}
+
+.db-field__badges,
+.db-note-icon text {
+  pointer-events: none;
+  user-select: none;
+}
+
+.db-note-icon {
+  cursor: help;
+}
+
+.db-table-indexes__toggle {
+  cursor: pointer;
+}
+
+.db-table-indexes text {
+  user-select: none;
+  pointer-events: none;
+}
+
+.db-field:hover > rect {
+  fill: #e3f2fd !important;
+}
+
+.db-table__dragging {
+  opacity: 0.8;
+  filter: drop-shadow(0 8px 16px rgba(0,0,0,0.2));
+}
+
+.db-node--entering {
+  animation: db-node-enter 0.2s ease-out;
+}
+
+.db-node--exiting {
+  animation: db-node-exit 0.2s ease-in forwards;
+  pointer-events: none;
+}
+
+@keyframes db-node-enter {
+  from { opacity: 0; }
+  to { opacity: 1; }
+}
+
+@keyframes db-node-exit {
+  from { opacity: 1; }
+  to { opacity: 0; }
+}
+
+@media (prefers-reduced-motion: reduce) {
+  .db-node--entering,
+  .db-node--exiting {
+    animation: none;
+  }
+}
+
+.db-ref__path {
+  stroke-width: 2;
+  fill: none;
+  pointer-events: stroke;
+  cursor: pointer;
+}
+
+.db-ref__path:hover {
+  stroke: #2196F3;
+  stroke-width: 3;
+}
+
+.db-ref__bracket {
+  pointer-events: none;
+}
+
+.db-ref--composite:hover .db-ref__bracket {
+  stroke: #2196F3;
+}
+`;
@@ -0,0 +1,70 @@
+/**
+ * Arranges nodes around a circle, ordered by a breadth-first walk from the most
+ * connected node so related tables end up next to each other.
+ *
+ * Nodes are { id, width, height }; edges are { from, to }.
+ * `layout()` returns a Map of node id to { x, y }.
+ */
+export class CircularLayout {
+  constructor(options = {}) {
+    this.gap = options.gap ?? 40;
+    this.margin = options.margin ?? 50;
+  }
+
+  layout(nodes, edges = []) {
+    const positions = new Map();
+    if (!nodes.length) return positions;
+
+    const ordered = this.orderNodes(nodes, edges);
+    const spans = ordered.map(node => Math.hypot(node.width, node.height) / 2 + this.gap / 2);
+    const circumference = spans.reduce((sum, span) => sum + span * 2, 0);
+    const radius = ordered.length === 1 ? 0 : Math.max(circumference / (2 * Math.PI), spans[0] * 2);
+    const largest = Math.max(...spans);
+    const center = radius + largest + this.margin;
+
+    let angle = -Math.PI / 2;
+    ordered.forEach((node, index) => {
+      const step = (spans[index] * 2) / circumference * 2 * Math.PI;
+      angle += step / 2;
+      positions.set(node.id, {
+        x: Math.round(center + radius * Math.cos(angle) - node.width / 2),
+        y: Math.round(center + radius * Math.sin(angle) - node.height / 2)
+      });
+      angle += step / 2;
+    });
+
+    return positions;
+  }
+
+  orderNodes(nodes, edges) {
+    const neighbours = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => {
+      if (!neighbours.has(edge.from) || !neighbours.has(edge.to) || edge.from === edge.to) return;
+      neighbours.get(edge.from).push(edge.to);
+      neighbours.get(edge.to).push(edge.from);
+    });
+
+    const byDegree = nodes.slice().sort((a, b) => neighbours.get(b.id).length - neighbours.get(a.id).length);
+    const nodeById = new Map(nodes.map(node => [node.id, node]));
+    const visited = new Set();
+    const ordered = [];
+
+    byDegree.forEach(start => {
+      if (visited.has(start.id)) return;
+      const queue = [start.id];
+      visited.add(start.id);
+      while (queue.length) {
+        const id = queue.shift();
+        ordered.push(nodeById.get(id));
+        neighbours.get(id).forEach(next => {
+          if (!visited.has(next)) {
+            visited.add(next);
+            queue.push(next);
+          }
+        });
+      }
+    });
+
+    return ordered;
+  }
+}
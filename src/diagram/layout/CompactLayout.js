@@ -0,0 +1,37 @@
+/**
+ * Shelf-packs nodes, tallest first, into rows sized to keep the diagram roughly
+ * square. Ignores relationships; useful for overviews of large schemas.
+ *
+ * Nodes are { id, width, height }; `layout()` returns a Map of node id to { x, y }.
+ */
+export class CompactLayout {
+  constructor(options = {}) {
+    this.gap = options.gap ?? 30;
+    this.margin = options.margin ?? 50;
+  }
+
+  layout(nodes) {
+    const positions = new Map();
+    const area = nodes.reduce((sum, node) => sum + (node.width + this.gap) * (node.height + this.gap), 0);
+    const widest = Math.max(0, ...nodes.map(node => node.width));
+    const rowWidth = Math.max(widest, Math.sqrt(area) * 1.2);
+
+    const sorted = nodes.slice().sort((a, b) => b.height - a.height);
+    let x = this.margin;
+    let y = this.margin;
+    let shelfHeight = 0;
+
+    sorted.forEach(node => {
+      if (x > this.margin && x + node.width > this.margin + rowWidth) {
+        x = this.margin;
+        y += shelfHeight + this.gap;
+        shelfHeight = 0;
+      }
+      positions.set(node.id, { x, y });
+      x += node.width + this.gap;
+      shelfHeight = Math.max(shelfHeight, node.height);
+    });
+
+    return positions;
+  }
+}
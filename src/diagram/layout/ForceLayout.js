@@ -0,0 +1,118 @@
+/**
+ * Force-directed layout: related nodes attract, all nodes repel, and a final pass
+ * pushes apart any rectangles that still overlap. Starts from a circle so results
+ * are repeatable for the same schema.
+ *
+ * Nodes are { id, width, height }; edges are { from, to }.
+ * `layout()` returns a Map of node id to { x, y }.
+ */
+export class ForceLayout {
+  constructor(options = {}) {
+    this.iterations = options.iterations ?? 300;
+    this.idealLength = options.idealLength ?? 320;
+    this.gap = options.gap ?? 30;
+    this.margin = options.margin ?? 50;
+  }
+
+  layout(nodes, edges = []) {
+    const positions = new Map();
+    if (!nodes.length) return positions;
+
+    const index = new Map(nodes.map((node, i) => [node.id, i]));
+    const links = edges
+      .filter(edge => index.has(edge.from) && index.has(edge.to) && edge.from !== edge.to)
+      .map(edge => [index.get(edge.from), index.get(edge.to)]);
+
+    const radius = this.idealLength * Math.sqrt(nodes.length) / 2;
+    const centers = nodes.map((_, i) => {
+      const angle = (2 * Math.PI * i) / nodes.length;
+      return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+    });
+
+    const k = this.idealLength;
+    let temperature = k;
+    for (let step = 0; step < this.iterations; step++) {
+      const forces = centers.map(() => ({ x: 0, y: 0 }));
+
+      for (let a = 0; a < nodes.length; a++) {
+        for (let b = a + 1; b < nodes.length; b++) {
+          const dx = centers[a].x - centers[b].x;
+          const dy = centers[a].y - centers[b].y;
+          const distance = Math.max(Math.hypot(dx, dy), 1);
+          // Far-apart nodes no longer repel, so unrelated clusters don't fly apart
+          if (distance > k * 3) continue;
+          const push = (k * k) / distance;
+          forces[a].x += (dx / distance) * push;
+          forces[a].y += (dy / distance) * push;
+          forces[b].x -= (dx / distance) * push;
+          forces[b].y -= (dy / distance) * push;
+        }
+      }
+
+      links.forEach(([a, b]) => {
+        const dx = centers[a].x - centers[b].x;
+        const dy = centers[a].y - centers[b].y;
+        const distance = Math.max(Math.hypot(dx, dy), 1);
+        const pull = (distance * distance) / k;
+        forces[a].x -= (dx / distance) * pull;
+        forces[a].y -= (dy / distance) * pull;
+        forces[b].x += (dx / distance) * pull;
+        forces[b].y += (dy / distance) * pull;
+      });
+
+      centers.forEach((center, i) => {
+        // Gravity keeps disconnected nodes from drifting away
+        forces[i].x -= center.x * 0.2;
+        forces[i].y -= center.y * 0.2;
+
+        const length = Math.max(Math.hypot(forces[i].x, forces[i].y), 1);
+        const move = Math.min(length, temperature);
+        center.x += (forces[i].x / length) * move;
+        center.y += (forces[i].y / length) * move;
+      });
+
+      temperature = Math.max(k * 0.01, temperature * 0.97);
+    }
+
+    this.removeOverlaps(nodes, centers);
+
+    const minX = Math.min(...nodes.map((node, i) => centers[i].x - node.width / 2));
+    const minY = Math.min(...nodes.map((node, i) => centers[i].y - node.height / 2));
+    nodes.forEach((node, i) => {
+      positions.set(node.id, {
+        x: Math.round(centers[i].x - node.width / 2 - minX + this.margin),
+        y: Math.round(centers[i].y - node.height / 2 - minY + this.margin)
+      });
+    });
+
+    return positions;
+  }
+
+  /**
+   * Separates overlapping rectangles along the axis with the smaller overlap.
+   */
+  removeOverlaps(nodes, centers) {
+    for (let pass = 0; pass < 50; pass++) {
+      let moved = false;
+      for (let a = 0; a < nodes.length; a++) {
+        for (let b = a + 1; b < nodes.length; b++) {
+          const overlapX = (nodes[a].width + nodes[b].width) / 2 + this.gap - Math.abs(centers[a].x - centers[b].x);
+          const overlapY = (nodes[a].height + nodes[b].height) / 2 + this.gap - Math.abs(centers[a].y - centers[b].y);
+          if (overlapX <= 0 || overlapY <= 0) continue;
+
+          moved = true;
+          if (overlapX < overlapY) {
+            const direction = centers[a].x <= centers[b].x ? -1 : 1;
+            centers[a].x += direction * overlapX / 2;
+            centers[b].x -= direction * overlapX / 2;
+          } else {
+            const direction = centers[a].y <= centers[b].y ? -1 : 1;
+            centers[a].y += direction * overlapY / 2;
+            centers[b].y -= direction * overlapY / 2;
+          }
+        }
+      }
+      if (!moved) break;
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Places nodes in reading order on a grid. Columns are as wide as their widest
+ * node and rows as tall as their tallest, so tall tables never overlap.
+ *
+ * Nodes are { id, width, height }; `layout()` returns a Map of node id to { x, y }.
+ */
+export class GridLayout {
+  constructor(options = {}) {
+    this.columns = options.columns ?? 3;
+    this.gap = options.gap ?? 50;
+    this.margin = options.margin ?? 50;
+  }
+
+  layout(nodes) {
+    const positions = new Map();
+    const columns = Math.max(1, Math.min(this.columns, nodes.length));
+    const rows = Math.ceil(nodes.length / columns);
+
+    const columnWidths = Array(columns).fill(0);
+    const rowHeights = Array(rows).fill(0);
+    nodes.forEach((node, index) => {
+      const column = index % columns;
+      const row = Math.floor(index / columns);
+      columnWidths[column] = Math.max(columnWidths[column], node.width);
+      rowHeights[row] = Math.max(rowHeights[row], node.height);
+    });
+
+    const columnX = this.offsets(columnWidths);
+    const rowY = this.offsets(rowHeights);
+    nodes.forEach((node, index) => {
+      positions.set(node.id, {
+        x: columnX[index % columns],
+        y: rowY[Math.floor(index / columns)]
+      });
+    });
+
+    return positions;
+  }
+
+  offsets(sizes) {
+    let position = this.margin;
+    return sizes.map(size => {
+      const current = position;
+      position += size + this.gap;
+      return current;
+    });
+  }
+}
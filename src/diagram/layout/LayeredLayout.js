@@ -0,0 +1,371 @@
+/**
+ * Sugiyama-style layered layout. Referenced tables are ranked to the left of the
+ * tables that reference them, edge crossings are reduced with barycenter sweeps and
+ * nodes are spaced by their real sizes.
+ *
+ * Nodes are { id, width, height }; edges are { from, to } where `to` is the referenced node.
+ * `layout()` returns a Map of node id to { x, y }.
+ */
+export class LayeredLayout {
+  constructor(options = {}) {
+    this.layerGap = options.layerGap ?? 120;
+    this.nodeGap = options.nodeGap ?? 40;
+    this.componentGap = options.componentGap ?? 80;
+    this.margin = options.margin ?? 50;
+    this.sweeps = options.sweeps ?? 8;
+  }
+
+  layout(nodes, edges) {
+    const positions = new Map();
+    const nodeIds = new Set(nodes.map(node => node.id));
+    const validEdges = edges.filter(edge =>
+      edge.from !== edge.to && nodeIds.has(edge.from) && nodeIds.has(edge.to));
+
+    const components = this.findComponents(nodes, validEdges);
+    const connected = components.filter(component => component.nodes.length > 1);
+    const isolated = components.filter(component => component.nodes.length === 1).map(c => c.nodes[0]);
+
+    let offsetY = this.margin;
+    let maxWidth = 0;
+    connected.forEach(component => {
+      const { positions: local, width, height } = this.layoutComponent(component.nodes, component.edges);
+      local.forEach((position, id) => {
+        positions.set(id, {
+          x: Math.round(position.x + this.margin),
+          y: Math.round(position.y + offsetY)
+        });
+      });
+      offsetY += height + this.componentGap;
+      maxWidth = Math.max(maxWidth, width);
+    });
+
+    this.placeIsolated(isolated, positions, offsetY, maxWidth);
+    return positions;
+  }
+
+  /**
+   * Splits the graph into weakly connected components.
+   */
+  findComponents(nodes, edges) {
+    const neighbours = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => {
+      neighbours.get(edge.from).push(edge.to);
+      neighbours.get(edge.to).push(edge.from);
+    });
+
+    const nodeById = new Map(nodes.map(node => [node.id, node]));
+    const componentOf = new Map();
+    const components = [];
+
+    nodes.forEach(node => {
+      if (componentOf.has(node.id)) return;
+      const component = { nodes: [], edges: [] };
+      const stack = [node.id];
+      componentOf.set(node.id, component);
+      while (stack.length) {
+        const id = stack.pop();
+        component.nodes.push(nodeById.get(id));
+        neighbours.get(id).forEach(next => {
+          if (!componentOf.has(next)) {
+            componentOf.set(next, component);
+            stack.push(next);
+          }
+        });
+      }
+      components.push(component);
+    });
+
+    edges.forEach(edge => componentOf.get(edge.from).edges.push(edge));
+    return components.sort((a, b) => b.nodes.length - a.nodes.length);
+  }
+
+  /**
+   * Puts tables without relationships in rows below the connected diagram.
+   */
+  placeIsolated(isolated, positions, offsetY, maxWidth) {
+    const rowWidth = Math.max(maxWidth, 4 * 300);
+    let x = this.margin;
+    let y = offsetY;
+    let rowHeight = 0;
+
+    isolated.forEach(node => {
+      if (x > this.margin && x + node.width > this.margin + rowWidth) {
+        x = this.margin;
+        y += rowHeight + this.nodeGap;
+        rowHeight = 0;
+      }
+      positions.set(node.id, { x, y });
+      x += node.width + this.nodeGap;
+      rowHeight = Math.max(rowHeight, node.height);
+    });
+  }
+
+  layoutComponent(nodes, edges) {
+    const acyclic = this.removeCycles(nodes, edges);
+    const ranks = this.assignRanks(nodes, acyclic);
+    const { layers, graph } = this.buildLayers(nodes, acyclic, ranks);
+    this.reduceCrossings(layers, graph);
+    return this.assignCoordinates(layers, graph);
+  }
+
+  /**
+   * Reverses back edges found by depth-first search so the graph becomes acyclic.
+   */
+  removeCycles(nodes, edges) {
+    const outgoing = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+    const state = new Map();
+    const reversed = new Set();
+
+    const visit = (id) => {
+      state.set(id, 'active');
+      outgoing.get(id).forEach(edge => {
+        const next = state.get(edge.to);
+        if (next === 'active') {
+          reversed.add(edge);
+        } else if (!next) {
+          visit(edge.to);
+        }
+      });
+      state.set(id, 'done');
+    };
+    nodes.forEach(node => {
+      if (!state.has(node.id)) visit(node.id);
+    });
+
+    return edges.map(edge => reversed.has(edge) ? { from: edge.to, to: edge.from } : edge);
+  }
+
+  /**
+   * Longest-path ranking: a referencing node sits at least one layer right of what it references.
+   */
+  assignRanks(nodes, edges) {
+    const parents = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => parents.get(edge.from).push(edge.to));
+
+    const ranks = new Map();
+    const rankOf = (id) => {
+      if (ranks.has(id)) return ranks.get(id);
+      ranks.set(id, 0);
+      const rank = parents.get(id).reduce((max, parent) => Math.max(max, rankOf(parent) + 1), 0);
+      ranks.set(id, rank);
+      return rank;
+    };
+    nodes.forEach(node => rankOf(node.id));
+
+    // Pull referenced nodes right so they sit next to their closest referencing node
+    const children = new Map(nodes.map(node => [node.id, []]));
+    edges.forEach(edge => children.get(edge.to).push(edge.from));
+    nodes.forEach(node => {
+      const childRanks = children.get(node.id).map(child => ranks.get(child));
+      if (childRanks.length) {
+        ranks.set(node.id, Math.max(ranks.get(node.id), Math.min(...childRanks) - 1));
+      }
+    });
+
+    return ranks;
+  }
+
+  /**
+   * Groups nodes by rank and splits edges spanning several layers with dummy nodes.
+   */
+  buildLayers(nodes, edges, ranks) {
+    const graph = {
+      nodes: new Map(),
+      up: new Map(),
+      down: new Map()
+    };
+    const addNode = (node) => {
+      graph.nodes.set(node.id, node);
+      graph.up.set(node.id, []);
+      graph.down.set(node.id, []);
+    };
+    const addEdge = (left, right) => {
+      graph.down.get(left).push(right);
+      graph.up.get(right).push(left);
+    };
+
+    nodes.forEach(node => addNode({ ...node, rank: ranks.get(node.id), dummy: false }));
+
+    let dummyCount = 0;
+    edges.forEach(edge => {
+      // Layers run left to right from referenced (`to`) to referencing (`from`)
+      let left = edge.to;
+      const right = edge.from;
+      const leftRank = ranks.get(left);
+      const rightRank = ranks.get(right);
+      if (leftRank === rightRank) return;
+
+      for (let rank = leftRank + 1; rank < rightRank; rank++) {
+        const dummy = { id: `__dummy_${dummyCount++}`, width: 0, height: 0, rank, dummy: true };
+        addNode(dummy);
+        addEdge(left, dummy.id);
+        left = dummy.id;
+      }
+      addEdge(left, right);
+    });
+
+    const layerCount = Math.max(...Array.from(graph.nodes.values()).map(node => node.rank)) + 1;
+    const layers = Array.from({ length: layerCount }, () => []);
+    graph.nodes.forEach(node => layers[node.rank].push(node.id));
+
+    return { layers, graph };
+  }
+
+  /**
+   * Alternating barycenter sweeps, keeping the ordering with the fewest crossings.
+   */
+  reduceCrossings(layers, graph) {
+    let best = layers.map(layer => layer.slice());
+    let bestCrossings = this.countCrossings(layers, graph);
+
+    for (let sweep = 0; sweep < this.sweeps && bestCrossings > 0; sweep++) {
+      if (sweep % 2 === 0) {
+        for (let i = 1; i < layers.length; i++) {
+          this.orderByBarycenter(layers[i], layers[i - 1], graph.up);
+        }
+      } else {
+        for (let i = layers.length - 2; i >= 0; i--) {
+          this.orderByBarycenter(layers[i], layers[i + 1], graph.down);
+        }
+      }
+
+      const crossings = this.countCrossings(layers, graph);
+      if (crossings < bestCrossings) {
+        bestCrossings = crossings;
+        best = layers.map(layer => layer.slice());
+      }
+    }
+
+    best.forEach((layer, index) => {
+      layers[index] = layer;
+    });
+  }
+
+  orderByBarycenter(layer, fixedLayer, neighboursOf) {
+    const positionInFixed = new Map(fixedLayer.map((id, index) => [id, index]));
+    const barycenters = new Map();
+
+    layer.forEach((id, index) => {
+      const neighbours = neighboursOf.get(id);
+      barycenters.set(id, neighbours.length
+        ? neighbours.reduce((sum, n) => sum + positionInFixed.get(n), 0) / neighbours.length
+        : index);
+    });
+
+    layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+  }
+
+  countCrossings(layers, graph) {
+    let crossings = 0;
+    for (let i = 0; i < layers.length - 1; i++) {
+      const position = new Map(layers[i + 1].map((id, index) => [id, index]));
+      const segments = [];
+      layers[i].forEach((id, index) => {
+        graph.down.get(id).forEach(target => segments.push([index, position.get(target)]));
+      });
+      for (let a = 0; a < segments.length; a++) {
+        for (let b = a + 1; b < segments.length; b++) {
+          const [a1, a2] = segments[a];
+          const [b1, b2] = segments[b];
+          if ((a1 - b1) * (a2 - b2) < 0) crossings++;
+        }
+      }
+    }
+    return crossings;
+  }
+
+  /**
+   * Places layers as columns sized to their widest node, then nudges each node
+   * towards the vertical centre of its neighbours without letting nodes overlap.
+   */
+  assignCoordinates(layers, graph) {
+    const positions = new Map();
+    const centers = new Map();
+    let x = 0;
+
+    const layerX = layers.map(layer => {
+      const width = Math.max(0, ...layer.map(id => graph.nodes.get(id).width));
+      const current = x;
+      x += width + this.layerGap;
+      return current;
+    });
+
+    // Initial stacking
+    layers.forEach(layer => {
+      let y = 0;
+      layer.forEach(id => {
+        const node = graph.nodes.get(id);
+        centers.set(id, y + node.height / 2);
+        y += node.height + (node.dummy ? this.nodeGap / 2 : this.nodeGap);
+      });
+    });
+
+    // Alignment passes towards neighbour barycenters
+    for (let pass = 0; pass < 4; pass++) {
+      const forward = pass % 2 === 0;
+      const order = forward ? layers.map((_, i) => i) : layers.map((_, i) => layers.length - 1 - i);
+      order.forEach(index => {
+        const neighboursOf = forward ? graph.up : graph.down;
+        this.alignLayer(layers[index], neighboursOf, graph, centers);
+      });
+    }
+
+    let minY = Infinity;
+    let maxY = -Infinity;
+    layers.forEach((layer, index) => {
+      layer.forEach(id => {
+        const node = graph.nodes.get(id);
+        if (node.dummy) return;
+        const y = centers.get(id) - node.height / 2;
+        positions.set(id, { x: layerX[index], y });
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y + node.height);
+      });
+    });
+
+    positions.forEach(position => {
+      position.y -= minY;
+    });
+
+    return {
+      positions,
+      width: Math.max(0, x - this.layerGap),
+      height: maxY - minY
+    };
+  }
+
+  alignLayer(layer, neighboursOf, graph, centers) {
+    const desired = layer.map(id => {
+      const neighbours = neighboursOf.get(id);
+      if (!neighbours.length) return centers.get(id);
+      return neighbours.reduce((sum, n) => sum + centers.get(n), 0) / neighbours.length;
+    });
+
+    // Keep order; push overlapping nodes apart, top to bottom then bottom to top
+    const tops = layer.map((id, index) => desired[index] - graph.nodes.get(id).height / 2);
+    const gapAfter = (id) => graph.nodes.get(id).dummy ? this.nodeGap / 2 : this.nodeGap;
+
+    for (let i = 1; i < layer.length; i++) {
+      const previous = layer[i - 1];
+      const minTop = tops[i - 1] + graph.nodes.get(previous).height + gapAfter(previous);
+      tops[i] = Math.max(tops[i], minTop);
+    }
+
+    // Shift the block back up so it stays centred on its neighbours
+    const overshoot = layer.reduce((sum, id, index) =>
+      sum + (tops[index] + graph.nodes.get(id).height / 2 - desired[index]), 0) / Math.max(layer.length, 1);
+    for (let i = layer.length - 1; i >= 0; i--) {
+      tops[i] -= Math.max(0, overshoot);
+      if (i < layer.length - 1) {
+        const maxTop = tops[i + 1] - graph.nodes.get(layer[i]).height - gapAfter(layer[i]);
+        tops[i] = Math.min(tops[i], maxTop);
+      }
+    }
+
+    layer.forEach((id, index) => {
+      centers.set(id, tops[index] + graph.nodes.get(id).height / 2);
+    });
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Keeps routed lines apart once every route is known.
+ *
+ * Interior segments that run along the same line and overlap are spread into
+ * parallel lanes `laneGap` apart. The first and last segments stay put, so lines
+ * ending at the same column still meet on their final approach and read as a
+ * bundle. Where a horizontal segment crosses a vertical one of another line it
+ * hops over it with a small arc.
+ *
+ * Routes are arrays of { x, y } corner points, as returned by OrthogonalRouter.
+ */
+export class EdgeSeparator {
+  constructor(options = {}) {
+    this.laneGap = options.laneGap ?? 8;
+    this.hopRadius = options.hopRadius ?? 5;
+  }
+
+  /**
+   * Returns new routes with overlapping interior segments moved into lanes.
+   */
+  separate(routes) {
+    const result = routes.map(points => points && points.map(point => ({ ...point })));
+    const groups = new Map();
+
+    result.forEach((points, routeIndex) => {
+      if (!points) return;
+      for (let i = 1; i < points.length - 2; i++) {
+        const a = points[i];
+        const b = points[i + 1];
+        const vertical = a.x === b.x;
+        if (!vertical && a.y !== b.y) continue;
+
+        const position = vertical ? a.x : a.y;
+        const key = `${vertical ? 'v' : 'h'}:${Math.round(position)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        const along = vertical ? 'y' : 'x';
+        const across = vertical ? 'x' : 'y';
+        groups.get(key).push({
+          routeIndex,
+          index: i,
+          vertical,
+          from: Math.min(a[along], b[along]),
+          to: Math.max(a[along], b[along]),
+          // Where the neighbouring segments join, and on which side of this line
+          joins: [
+            { at: a[along], side: Math.sign(points[i - 1][across] - position) },
+            { at: b[along], side: Math.sign(points[i + 2][across] - position) }
+          ]
+        });
+      }
+    });
+
+    groups.forEach(segments => {
+      this.clusters(segments).forEach(cluster => this.assignLanes(cluster, result));
+    });
+
+    return result;
+  }
+
+  /**
+   * Splits segments on the same line into runs that overlap each other.
+   */
+  clusters(segments) {
+    const sorted = segments.slice().sort((a, b) => a.from - b.from || a.to - b.to);
+    const clusters = [];
+    let current = null;
+    let end = -Infinity;
+
+    sorted.forEach(segment => {
+      if (!current || segment.from > end) {
+        current = [];
+        clusters.push(current);
+        end = -Infinity;
+      }
+      current.push(segment);
+      end = Math.max(end, segment.to);
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Gives each overlapping segment its own lane, centred on the original line, in the
+   * order that makes the joining segments cross the fewest neighbouring lanes.
+   * Moving a segment also moves the ends of its neighbours, which keeps the route joined.
+   */
+  assignLanes(cluster, routes) {
+    if (cluster.length < 2) return;
+
+    const ordered = cluster.slice().sort((a, b) => this.crossings(a, b) - this.crossings(b, a));
+    ordered.forEach((segment, lane) => {
+      const offset = (lane - (ordered.length - 1) / 2) * this.laneGap;
+      const points = routes[segment.routeIndex];
+      const axis = segment.vertical ? 'x' : 'y';
+      points[segment.index][axis] += offset;
+      points[segment.index + 1][axis] += offset;
+    });
+  }
+
+  /**
+   * Counts the crossings caused by placing `low` in a lower lane than `high`: joins
+   * leaving `high` towards the low side, and joins leaving `low` towards the high side,
+   * that pass over the other segment.
+   */
+  crossings(low, high) {
+    const passes = (join, segment) => segment.from < join.at && join.at < segment.to;
+    return high.joins.filter(join => join.side < 0 && passes(join, low)).length +
+      low.joins.filter(join => join.side > 0 && passes(join, high)).length;
+  }
+
+  /**
+   * Lists the vertical segments of all routes, for toPathData.
+   */
+  verticalSegments(routes) {
+    const segments = [];
+    routes.forEach((points, routeIndex) => {
+      if (!points) return;
+      for (let i = 0; i < points.length - 1; i++) {
+        if (points[i].x === points[i + 1].x) {
+          segments.push({
+            routeIndex,
+            x: points[i].x,
+            from: Math.min(points[i].y, points[i + 1].y),
+            to: Math.max(points[i].y, points[i + 1].y)
+          });
+        }
+      }
+    });
+    return segments;
+  }
+
+  /**
+   * Builds SVG path data for `routes[routeIndex]`, adding hop-over arcs where its
+   * horizontal segments cross vertical segments of the other routes.
+   */
+  toPathData(routes, routeIndex, verticals = this.verticalSegments(routes)) {
+    const points = routes[routeIndex];
+    if (!points || !points.length) return '';
+
+    const radius = this.hopRadius;
+    let path = `M ${points[0].x} ${points[0].y}`;
+    for (let i = 1; i < points.length; i++) {
+      const a = points[i - 1];
+      const b = points[i];
+      if (a.y === b.y && a.x !== b.x) {
+        const direction = b.x > a.x ? 1 : -1;
+        const hops = verticals
+          .filter(c => c.routeIndex !== routeIndex && c.from + radius < a.y && a.y < c.to - radius &&
+            Math.min(a.x, b.x) + radius * 2 < c.x && c.x < Math.max(a.x, b.x) - radius * 2)
+          .map(c => c.x)
+          .sort((p, q) => (p - q) * direction);
+
+        let lastX = null;
+        hops.forEach(x => {
+          if (lastX !== null && Math.abs(x - lastX) < radius * 2) return;
+          path += ` L ${x - direction * radius} ${a.y} A ${radius} ${radius} 0 0 ${direction > 0 ? 1 : 0} ${x + direction * radius} ${a.y}`;
+          lastX = x;
+        });
+      }
+      path += ` L ${b.x} ${b.y}`;
+    }
+    return path;
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Finds orthogonal paths that go around rectangular obstacles.
+ *
+ * Candidate lines run along every obstacle edge (pushed out by `margin`) and through
+ * both endpoints; A* over their crossings minimises length plus a penalty per bend.
+ * Ports are { x, y, side: 'left'|'right' } and always leave and enter horizontally,
+ * `stub` pixels out from the table edge.
+ */
+export class OrthogonalRouter {
+  constructor(options = {}) {
+    this.margin = options.margin ?? 12;
+    this.stub = options.stub ?? 20;
+    this.bendPenalty = options.bendPenalty ?? 40;
+    this.searchPadding = options.searchPadding ?? 200;
+    this.maxGridSize = options.maxGridSize ?? 6000;
+  }
+
+  /**
+   * Returns the route from `start` to `end` as a list of corner points, including
+   * both ports. Obstacles are { x, y, width, height } boxes.
+   */
+  route(start, end, obstacles = []) {
+    const startStub = { x: start.x + this.direction(start.side) * this.stub, y: start.y };
+    const endStub = { x: end.x + this.direction(end.side) * this.stub, y: end.y };
+
+    const boxes = this.collectBoxes(startStub, endStub, obstacles);
+    const middle = boxes.length ? this.search(startStub, endStub, boxes) : null;
+    const points = middle || this.fallback(start, end, startStub, endStub);
+
+    return this.simplify([start, ...points, end]);
+  }
+
+  direction(side) {
+    return side === 'left' ? -1 : 1;
+  }
+
+  /**
+   * Inflates the obstacles near the route. Boxes containing either stub end are left
+   * out so tables that touch each other can still be connected.
+   */
+  collectBoxes(a, b, obstacles) {
+    const area = {
+      left: Math.min(a.x, b.x) - this.searchPadding,
+      right: Math.max(a.x, b.x) + this.searchPadding,
+      top: Math.min(a.y, b.y) - this.searchPadding,
+      bottom: Math.max(a.y, b.y) + this.searchPadding
+    };
+
+    return obstacles
+      .map(box => ({
+        left: box.x - this.margin,
+        right: box.x + box.width + this.margin,
+        top: box.y - this.margin,
+        bottom: box.y + box.height + this.margin
+      }))
+      .filter(box => box.right >= area.left && box.left <= area.right &&
+        box.bottom >= area.top && box.top <= area.bottom)
+      .filter(box => !this.isInside(a, box) && !this.isInside(b, box));
+  }
+
+  isInside(point, box) {
+    return point.x > box.left && point.x < box.right && point.y > box.top && point.y < box.bottom;
+  }
+
+  /**
+   * A* over the grid of candidate lines. States carry the direction of travel so
+   * bends can be charged; the route must leave the start stub horizontally and
+   * arrive at the end stub horizontally.
+   */
+  search(startStub, endStub, boxes) {
+    const xs = this.uniqueSorted([
+      startStub.x, endStub.x, (startStub.x + endStub.x) / 2,
+      ...boxes.flatMap(box => [box.left, box.right])
+    ]);
+    const ys = this.uniqueSorted([
+      startStub.y, endStub.y, (startStub.y + endStub.y) / 2,
+      ...boxes.flatMap(box => [box.top, box.bottom])
+    ]);
+    if (xs.length * ys.length > this.maxGridSize) return null;
+
+    const blocked = this.rasterize(xs, ys, boxes);
+    const startX = xs.indexOf(startStub.x);
+    const startY = ys.indexOf(startStub.y);
+    const endX = xs.indexOf(endStub.x);
+    const endY = ys.indexOf(endStub.y);
+
+    const HORIZONTAL = 0;
+    const VERTICAL = 1;
+    const columns = xs.length;
+    const stateKey = (xi, yi, dir) => (yi * columns + xi) * 2 + dir;
+    const heuristic = (xi, yi) => {
+      const dx = Math.abs(xs[xi] - endStub.x);
+      const dy = Math.abs(ys[yi] - endStub.y);
+      return dx + dy + (dx && dy ? this.bendPenalty : 0);
+    };
+
+    const best = new Float64Array(xs.length * ys.length * 2).fill(Infinity);
+    const previous = new Int32Array(best.length).fill(-1);
+    const open = new MinHeap();
+
+    const startKey = stateKey(startX, startY, HORIZONTAL);
+    best[startKey] = 0;
+    open.push(startKey, heuristic(startX, startY));
+
+    let goal = null;
+    let goalTotal = Infinity;
+
+    while (open.size) {
+      const key = open.pop();
+      const dir = key & 1;
+      const cell = key >> 1;
+      const xi = cell % columns;
+      const yi = (cell - xi) / columns;
+      const cost = best[key];
+
+      if (xi === endX && yi === endY) {
+        const total = cost + (dir === VERTICAL ? this.bendPenalty : 0);
+        if (total < goalTotal) {
+          goal = key;
+          goalTotal = total;
+        }
+        // Every remaining state costs at least as much, so this arrival is final
+        if (!open.size || open.peekPriority() >= goalTotal) break;
+        continue;
+      }
+
+      for (let step = 0; step < 4; step++) {
+        const nextDir = step < 2 ? HORIZONTAL : VERTICAL;
+        const nx = xi + (step === 0 ? 1 : step === 1 ? -1 : 0);
+        const ny = yi + (step === 2 ? 1 : step === 3 ? -1 : 0);
+        if (nx < 0 || ny < 0 || nx >= columns || ny >= ys.length) continue;
+
+        const edgeBlocked = nextDir === HORIZONTAL
+          ? blocked.horizontal[ny * columns + Math.min(nx, xi)]
+          : blocked.vertical[Math.min(ny, yi) * columns + nx];
+        if (edgeBlocked || blocked.nodes[ny * columns + nx]) continue;
+
+        const length = Math.abs(xs[nx] - xs[xi]) + Math.abs(ys[ny] - ys[yi]);
+        const nextCost = cost + length + (nextDir !== dir ? this.bendPenalty : 0);
+        const nextKey = stateKey(nx, ny, nextDir);
+        if (best[nextKey] <= nextCost) continue;
+
+        best[nextKey] = nextCost;
+        previous[nextKey] = key;
+        open.push(nextKey, nextCost + heuristic(nx, ny));
+      }
+    }
+
+    if (goal === null) return null;
+
+    const points = [];
+    for (let key = goal; key !== -1; key = previous[key]) {
+      const cell = key >> 1;
+      points.unshift({ x: xs[cell % columns], y: ys[Math.floor(cell / columns)] });
+    }
+    return points;
+  }
+
+  /**
+   * Marks grid crossings inside a box, and grid segments that run through one. Segment
+   * flags are stored at the index of their lower-left crossing.
+   */
+  rasterize(xs, ys, boxes) {
+    const size = xs.length * ys.length;
+    const nodes = new Uint8Array(size);
+    const horizontal = new Uint8Array(size);
+    const vertical = new Uint8Array(size);
+
+    boxes.forEach(box => {
+      const x0 = xs.findIndex(x => x >= box.left);
+      const x1 = this.lastIndex(xs, x => x <= box.right);
+      const y0 = ys.findIndex(y => y >= box.top);
+      const y1 = this.lastIndex(ys, y => y <= box.bottom);
+      if (x0 === -1 || y0 === -1 || x1 < x0 || y1 < y0) return;
+
+      for (let yi = y0; yi <= y1; yi++) {
+        const insideY = ys[yi] > box.top && ys[yi] < box.bottom;
+        for (let xi = x0; xi <= x1; xi++) {
+          const insideX = xs[xi] > box.left && xs[xi] < box.right;
+          const index = yi * xs.length + xi;
+          if (insideX && insideY) nodes[index] = 1;
+          if (insideY && xi < x1) horizontal[index] = 1;
+          if (insideX && yi < y1) vertical[index] = 1;
+        }
+      }
+    });
+
+    return { nodes, horizontal, vertical };
+  }
+
+  lastIndex(values, predicate) {
+    for (let i = values.length - 1; i >= 0; i--) {
+      if (predicate(values[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Plain three-segment route used when nothing is in the way, the grid is too large
+   * or no route exists. Ports on the same side are joined by a bracket outside both.
+   */
+  fallback(start, end, startStub, endStub) {
+    let bendX = (startStub.x + endStub.x) / 2;
+    if (start.side === end.side) {
+      bendX = start.side === 'left' ? Math.min(startStub.x, endStub.x) : Math.max(startStub.x, endStub.x);
+    }
+    return [startStub, { x: bendX, y: startStub.y }, { x: bendX, y: endStub.y }, endStub];
+  }
+
+  uniqueSorted(values) {
+    return Array.from(new Set(values)).sort((a, b) => a - b);
+  }
+
+  /**
+   * Drops repeated points and points in the middle of straight runs.
+   */
+  simplify(points) {
+    const result = [];
+    points.forEach(point => {
+      const last = result[result.length - 1];
+      if (last && last.x === point.x && last.y === point.y) return;
+
+      const beforeLast = result[result.length - 2];
+      if (beforeLast && last &&
+        ((beforeLast.x === last.x && last.x === point.x) || (beforeLast.y === last.y && last.y === point.y))) {
+        result[result.length - 1] = point;
+        return;
+      }
+      result.push(point);
+    });
+    return result;
+  }
+}
+
+/**
+ * Binary heap keyed by priority, used as the A* open list.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peekPriority() {
+    return this.items[0].priority;
+  }
+
+  push(value, priority) {
+    const items = this.items;
+    items.push({ value, priority });
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (items[parent].priority <= items[index].priority) break;
+      [items[parent], items[index]] = [items[index], items[parent]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === index) break;
+        [items[smallest], items[index]] = [items[index], items[smallest]];
+        index = smallest;
+      }
+    }
+    return top.value;
+  }
+}
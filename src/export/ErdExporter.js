@@ -0,0 +1,94 @@
+const DEFAULT_SCHEMA = 'public';
+
+/**
+ * Crow's-foot end markers in the text notation shared by Mermaid and PlantUML,
+ * written for the left and right end of a relationship line.
+ */
+const MARKERS = {
+  'one': { left: '||', right: '||' },
+  'zero-or-one': { left: '|o', right: 'o|' },
+  'zero-or-many': { left: '}o', right: 'o{' }
+};
+
+/**
+ * Shared base for the text ER diagram exporters. Collects the model's tables, enums
+ * and refs and works out keys and relationship lines; subclasses format them.
+ */
+export class ErdExporter {
+  constructor(model) {
+    this.model = model;
+
+    const collect = (key) => model.schemas.flatMap(schema => schema[key] || []);
+    this.tables = collect('tables');
+    this.enums = collect('enums');
+    this.refs = collect('refs');
+  }
+
+  findTable(schemaName, name) {
+    const schema = schemaName || DEFAULT_SCHEMA;
+    return this.tables.find(table => table.name === name && (table.schemaName || DEFAULT_SCHEMA) === schema) || null;
+  }
+
+  /**
+   * Name to display for a table: `schema.table` outside the default schema.
+   */
+  getDisplayName(schemaName, name) {
+    return schemaName && schemaName !== DEFAULT_SCHEMA ? `${schemaName}.${name}` : name;
+  }
+
+  /**
+   * Names of the table's columns that reference another table.
+   */
+  getForeignKeys(table) {
+    const names = new Set();
+    this.refs
+      .filter(ref => ref.relation !== 'many-to-many' && this.findTable(ref.fromSchema, ref.fromTable) === table)
+      .forEach(ref => ref.fromFields.forEach(name => names.add(name)));
+    return names;
+  }
+
+  /**
+   * Names of columns with a single-column unique constraint or unique index.
+   */
+  getUniqueKeys(table) {
+    const names = new Set(table.fields.filter(field => field.unique).map(field => field.name));
+    (table.indexes || [])
+      .filter(index => index.unique && index.columns.length === 1 && index.columns[0].type === 'column')
+      .forEach(index => names.add(index.columns[0].value));
+    return names;
+  }
+
+  /**
+   * Returns the relationship line between `ref.fromTable` (left) and `ref.toTable` (right),
+   * e.g. `}o--||`. The "one" end is optional when a referencing column is nullable, as in
+   * the diagram; the line is dashed unless the foreign key is part of the primary key.
+   */
+  getConnector(ref) {
+    const fromTable = this.findTable(ref.fromSchema, ref.fromTable);
+    const isOptional = ref.fromFields.some(fieldName => {
+      const field = fromTable?.fields.find(f => f.name === fieldName);
+      return !field || !(field.not_null || field.pk);
+    });
+    const oneMarker = isOptional ? 'zero-or-one' : 'one';
+
+    let markers;
+    switch (ref.relation) {
+      case 'one-to-one':
+        markers = { from: 'zero-or-one', to: oneMarker };
+        break;
+      case 'many-to-many':
+        markers = { from: 'zero-or-many', to: 'zero-or-many' };
+        break;
+      default:
+        markers = { from: 'zero-or-many', to: oneMarker };
+    }
+
+    const primaryKey = fromTable?.primaryKey || [];
+    const identifying = ref.relation !== 'many-to-many' && ref.fromFields.every(name => primaryKey.includes(name));
+    return `${MARKERS[markers.from].left}${identifying ? '--' : '..'}${MARKERS[markers.to].right}`;
+  }
+
+  getLabel(ref) {
+    return ref.fromFields.join(', ');
+  }
+}
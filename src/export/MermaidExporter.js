@@ -0,0 +1,86 @@
+import { ErdExporter } from './ErdExporter.js';
+
+const ENTITY_NAME = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Writes the model as a Mermaid `erDiagram`. Mermaid has no notes on entities or enums,
+ * so table notes and enum values are kept as `%%` comments; column notes become
+ * attribute comments.
+ */
+export class MermaidExporter extends ErdExporter {
+  export() {
+    const lines = ['erDiagram'];
+
+    this.enums.forEach(enumDef => {
+      const values = enumDef.values.map(value => value.name).join(', ');
+      lines.push(`    %% enum ${this.getDisplayName(enumDef.schemaName, enumDef.name)}: ${values}`);
+    });
+    this.tables.forEach(table => lines.push(...this.formatEntity(table)));
+    this.refs.forEach(ref => {
+      const from = this.getEntityId(ref.fromSchema, ref.fromTable);
+      const to = this.getEntityId(ref.toSchema, ref.toTable);
+      lines.push(`    ${from} ${this.getConnector(ref)} ${to} : "${this.escape(this.getLabel(ref))}"`);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Entity ids may only use letters, digits, `_` and `-`; other names get an id
+   * plus a `["label"]` alias.
+   */
+  getEntityId(schemaName, name) {
+    return this.sanitize(this.getDisplayName(schemaName, name));
+  }
+
+  formatEntity(table) {
+    const displayName = this.getDisplayName(table.schemaName, table.name);
+    const id = this.getEntityId(table.schemaName, table.name);
+    const declaration = ENTITY_NAME.test(displayName) ? id : `${id}["${this.escape(displayName)}"]`;
+    const foreignKeys = this.getForeignKeys(table);
+    const uniqueKeys = this.getUniqueKeys(table);
+
+    const lines = [];
+    if (table.note) {
+      lines.push(`    %% ${displayName}: ${table.note.replace(/\s*\n\s*/g, ' ')}`);
+    }
+    if (!table.fields.length) {
+      lines.push(`    ${declaration}`);
+      return lines;
+    }
+
+    lines.push(`    ${declaration} {`);
+    table.fields.forEach(field => {
+      const keys = [];
+      if (field.pk) keys.push('PK');
+      if (foreignKeys.has(field.name)) keys.push('FK');
+      if (uniqueKeys.has(field.name) && !field.pk) keys.push('UK');
+
+      const parts = [this.sanitize(field.type.type_name), this.sanitize(field.name)];
+      if (keys.length) parts.push(keys.join(', '));
+      if (field.note) parts.push(`"${this.escape(field.note)}"`);
+      lines.push(`        ${parts.join(' ')}`);
+    });
+    lines.push('    }');
+    return lines;
+  }
+
+  /**
+   * Replaces characters Mermaid doesn't accept in ids, types and attribute names.
+   */
+  sanitize(text) {
+    const cleaned = String(text).replace(/[^A-Za-z0-9_\-[\]()]/g, '_');
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+  }
+
+  escape(text) {
+    return String(text).replace(/"/g, "'").replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+/**
+ * Converts a parsed DBML model to Mermaid `erDiagram` source.
+ */
+export function toMermaid(model) {
+  return new MermaidExporter(model).export();
+}
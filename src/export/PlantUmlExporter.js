@@ -0,0 +1,83 @@
+import { ErdExporter } from './ErdExporter.js';
+
+/**
+ * Writes the model as a PlantUML entity diagram in Information Engineering notation.
+ * Primary key columns sit above the separator, mandatory columns are marked `*`,
+ * and table and column notes go into a note next to each entity.
+ */
+export class PlantUmlExporter extends ErdExporter {
+  export() {
+    const lines = ['@startuml', 'hide circle', 'skinparam linetype ortho', ''];
+
+    this.enums.forEach(enumDef => {
+      const displayName = this.getDisplayName(enumDef.schemaName, enumDef.name);
+      lines.push(`enum "${this.escape(displayName)}" as ${this.getAlias('enum', displayName)} {`);
+      enumDef.values.forEach(value => lines.push(`  ${value.name}`));
+      lines.push('}', '');
+    });
+    this.tables.forEach(table => lines.push(...this.formatEntity(table), ''));
+    this.refs.forEach(ref => {
+      const from = this.getAlias('entity', this.getDisplayName(ref.fromSchema, ref.fromTable));
+      const to = this.getAlias('entity', this.getDisplayName(ref.toSchema, ref.toTable));
+      lines.push(`${from} ${this.getConnector(ref)} ${to} : ${this.escape(this.getLabel(ref))}`);
+    });
+
+    lines.push('@enduml');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Aliases must be plain identifiers; enums get a prefix so they can't clash with tables.
+   */
+  getAlias(kind, displayName) {
+    const alias = displayName.replace(/[^A-Za-z0-9_]/g, '_');
+    return kind === 'enum' ? `enum_${alias}` : alias;
+  }
+
+  formatEntity(table) {
+    const displayName = this.getDisplayName(table.schemaName, table.name);
+    const alias = this.getAlias('entity', displayName);
+    const foreignKeys = this.getForeignKeys(table);
+    const uniqueKeys = this.getUniqueKeys(table);
+
+    const formatField = (field) => {
+      const stereotypes = [];
+      if (field.pk) stereotypes.push('<<PK>>');
+      if (foreignKeys.has(field.name)) stereotypes.push('<<FK>>');
+      if (uniqueKeys.has(field.name) && !field.pk) stereotypes.push('<<UK>>');
+
+      const mandatory = field.pk || field.not_null ? '* ' : '';
+      const suffix = stereotypes.length ? ` ${stereotypes.join(' ')}` : '';
+      return `  ${mandatory}${field.name} : ${field.type.type_name}${suffix}`;
+    };
+
+    const keyFields = table.fields.filter(field => field.pk);
+    const otherFields = table.fields.filter(field => !field.pk);
+    const lines = [`entity "${this.escape(displayName)}" as ${alias} {`];
+    lines.push(...keyFields.map(formatField));
+    if (keyFields.length && otherFields.length) lines.push('  --');
+    lines.push(...otherFields.map(formatField));
+    lines.push('}');
+
+    const notedFields = table.fields.filter(field => field.note);
+    if (table.note || notedFields.length) {
+      lines.push(`note right of ${alias}`);
+      if (table.note) lines.push(...table.note.split('\n').map(line => `  ${line}`));
+      if (table.note && notedFields.length) lines.push('  ..');
+      notedFields.forEach(field => lines.push(`  ${field.name}: ${field.note.replace(/\s*\n\s*/g, ' ')}`));
+      lines.push('end note');
+    }
+    return lines;
+  }
+
+  escape(text) {
+    return String(text).replace(/"/g, "'").replace(/\s*\n\s*/g, ' ');
+  }
+}
+
+/**
+ * Converts a parsed DBML model to a PlantUML entity diagram.
+ */
+export function toPlantUML(model) {
+  return new PlantUmlExporter(model).export();
+}
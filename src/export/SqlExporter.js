@@ -0,0 +1,337 @@
+const DEFAULT_SCHEMA = 'public';
+
+/**
+ * Dialect names accepted by toSQL, keyed by their normalised spelling. Anything that
+ * mentions postgres, mysql or sqlite (e.g. 'PostgreSQL') is accepted too.
+ */
+const DIALECTS = {
+  postgres: 'postgres',
+  postgresql: 'postgres',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite'
+};
+
+const DIALECT_NAMES = {
+  postgres: 'PostgreSQL',
+  mysql: 'MySQL',
+  sqlite: 'SQLite'
+};
+
+const SERIAL_TYPES = {
+  smallint: 'SMALLSERIAL',
+  int: 'SERIAL',
+  integer: 'SERIAL',
+  bigint: 'BIGSERIAL'
+};
+
+/**
+ * Resolves a dialect name such as 'PostgreSQL' or 'mysql' to 'postgres', 'mysql' or 'sqlite'.
+ * Returns null for unsupported databases.
+ */
+export function normalizeDialect(name) {
+  if (!name) return null;
+  const key = String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return DIALECTS[key] || Object.values(DIALECTS).find(dialect => key.includes(dialect)) || null;
+}
+
+/**
+ * Generates SQL DDL from the diagram model produced by parseDbml: schemas, enum types,
+ * tables, indexes, foreign keys and comments. Many-to-many refs become junction tables.
+ */
+export class SqlExporter {
+  constructor(model, dialect) {
+    this.model = model;
+    this.dialect = normalizeDialect(dialect);
+    if (!this.dialect) {
+      throw new Error(`Unsupported SQL dialect '${dialect}'. Use postgres, mysql or sqlite.`);
+    }
+
+    const collect = (key) => model.schemas.flatMap(schema => schema[key] || []);
+    this.tables = collect('tables');
+    this.enums = collect('enums');
+    this.refs = collect('refs');
+  }
+
+  export() {
+    const foreignKeys = this.refs.filter(ref => ref.relation !== 'many-to-many');
+    const junctionTables = this.refs
+      .filter(ref => ref.relation === 'many-to-many')
+      .map(ref => this.buildJunctionTable(ref));
+
+    const sections = [
+      [`-- Generated from DBML for ${DIALECT_NAMES[this.dialect]}`],
+      this.createSchemas(),
+      this.dialect === 'postgres' ? this.enums.map(enumDef => this.createEnum(enumDef)) : [],
+      this.tables.map(table => this.createTable(table, foreignKeys)),
+      junctionTables.map(junction => this.createTable(junction.table, junction.refs)),
+      this.tables.flatMap(table => this.createIndexes(table)),
+      this.dialect === 'sqlite' ? [] : [...foreignKeys, ...junctionTables.flatMap(junction => junction.refs)]
+        .map(ref => this.addForeignKey(ref)),
+      this.dialect === 'postgres' ? this.tables.flatMap(table => this.createComments(table)) : []
+    ];
+
+    return sections
+      .filter(statements => statements.length)
+      .map(statements => statements.join('\n\n'))
+      .join('\n\n') + '\n';
+  }
+
+  quote(name) {
+    if (this.dialect === 'mysql') {
+      return `\`${String(name).replace(/`/g, '``')}\``;
+    }
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
+  string(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Name of a table or type within its schema. SQLite has no schemas, so there the
+   * schema is folded into the name (`auth.users` becomes `auth_users`) to keep tables
+   * of the same name in different schemas apart.
+   */
+  localName(schemaName, name) {
+    if (this.dialect === 'sqlite' && schemaName && schemaName !== DEFAULT_SCHEMA) {
+      return `${schemaName}_${name}`;
+    }
+    return name;
+  }
+
+  /**
+   * Schema-qualified name, or the folded name from localName in SQLite.
+   */
+  qualify(schemaName, name) {
+    if (this.dialect === 'sqlite' || !schemaName || schemaName === DEFAULT_SCHEMA) {
+      return this.quote(this.localName(schemaName, name));
+    }
+    return `${this.quote(schemaName)}.${this.quote(name)}`;
+  }
+
+  createSchemas() {
+    if (this.dialect === 'sqlite') return [];
+
+    return this.model.schemas
+      .map(schema => schema.name)
+      .filter(name => name && name !== DEFAULT_SCHEMA)
+      .map(name => `CREATE SCHEMA IF NOT EXISTS ${this.quote(name)};`);
+  }
+
+  createEnum(enumDef) {
+    const values = enumDef.values.map(value => this.string(value.name)).join(', ');
+    return `CREATE TYPE ${this.qualify(enumDef.schemaName, enumDef.name)} AS ENUM (${values});`;
+  }
+
+  findEnum(type) {
+    if (!type.enum_name) return null;
+    return this.enums.find(e => e.name === type.enum_name && e.schemaName === type.enum_schema) || null;
+  }
+
+  /**
+   * CREATE TABLE with column definitions and the primary key. SQLite also gets its
+   * foreign keys here, since it cannot add them afterwards.
+   */
+  createTable(table, refs) {
+    const primaryKey = table.primaryKey || [];
+    const inlinePk = primaryKey.length === 1 ? primaryKey[0] : null;
+
+    const lines = table.fields.map(field => this.columnDefinition(table, field, field.name === inlinePk));
+    if (primaryKey.length > 1) {
+      lines.push(`PRIMARY KEY (${primaryKey.map(name => this.quote(name)).join(', ')})`);
+    }
+    if (this.dialect === 'sqlite') {
+      refs
+        .filter(ref => ref.fromTable === table.name && (ref.fromSchema || DEFAULT_SCHEMA) === (table.schemaName || DEFAULT_SCHEMA))
+        .forEach(ref => lines.push(this.foreignKeyClause(ref)));
+    }
+
+    let options = '';
+    if (this.dialect === 'mysql' && table.note) {
+      options = ` COMMENT=${this.string(table.note)}`;
+    }
+
+    const comment = this.dialect === 'sqlite' && table.note ? `${this.lineComment(table.note)}\n` : '';
+    return `${comment}CREATE TABLE ${this.qualify(table.schemaName, table.name)} (\n` +
+      lines.map(line => `  ${line}`).join(',\n') +
+      `\n)${options};`;
+  }
+
+  columnDefinition(table, field, isPrimaryKey) {
+    const enumDef = this.findEnum(field.type);
+    const parts = [this.quote(field.name), this.columnType(field, enumDef)];
+
+    if (isPrimaryKey) {
+      parts.push('PRIMARY KEY');
+      if (field.increment && this.dialect === 'sqlite' && /^(tiny|small|medium|big)?int(eger)?$/i.test(field.type.type_name)) {
+        parts[1] = 'INTEGER';
+        parts.push('AUTOINCREMENT');
+      }
+    }
+    if (field.increment && this.dialect === 'mysql') parts.push('AUTO_INCREMENT');
+    if (field.increment && this.dialect === 'postgres' && !SERIAL_TYPES[field.type.type_name.toLowerCase()]) {
+      parts.push('GENERATED BY DEFAULT AS IDENTITY');
+    }
+    if (field.unique && !isPrimaryKey) parts.push('UNIQUE');
+    if (field.not_null && !isPrimaryKey) parts.push('NOT NULL');
+    if (field.dbdefault) parts.push(`DEFAULT ${this.defaultValue(field.dbdefault)}`);
+    if (enumDef && this.dialect === 'sqlite') {
+      parts.push(`CHECK (${this.quote(field.name)} IN (${enumDef.values.map(value => this.string(value.name)).join(', ')}))`);
+    }
+    if (field.note && this.dialect === 'mysql') parts.push(`COMMENT ${this.string(field.note)}`);
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Column type as written in DBML. Enums become a named type in PostgreSQL, an inline
+   * ENUM in MySQL and TEXT in SQLite; incrementing integers become SERIAL in PostgreSQL.
+   */
+  columnType(field, enumDef) {
+    if (enumDef) {
+      if (this.dialect === 'postgres') return this.qualify(enumDef.schemaName, enumDef.name);
+      if (this.dialect === 'mysql') return `ENUM(${enumDef.values.map(value => this.string(value.name)).join(', ')})`;
+      return 'TEXT';
+    }
+
+    const typeName = field.type.type_name;
+    if (field.increment && this.dialect === 'postgres' && SERIAL_TYPES[typeName.toLowerCase()]) {
+      return SERIAL_TYPES[typeName.toLowerCase()];
+    }
+    return typeName;
+  }
+
+  defaultValue(dbdefault) {
+    switch (dbdefault.type) {
+      case 'string':
+        return this.string(dbdefault.value);
+      case 'number':
+        return String(dbdefault.value);
+      case 'boolean':
+        return dbdefault.value ? 'TRUE' : 'FALSE';
+      case 'null':
+        return 'NULL';
+      case 'expression':
+        return `(${dbdefault.value})`;
+      default:
+        return String(dbdefault.value);
+    }
+  }
+
+  /**
+   * CREATE INDEX for every non-primary-key index. Unnamed indexes get `<table>_index_<n>`,
+   * since MySQL and SQLite require a name; in SQLite `<table>` is the folded name.
+   */
+  createIndexes(table) {
+    return (table.indexes || [])
+      .filter(index => !index.pk)
+      .map((index, position) => {
+        const name = index.name || `${this.localName(table.schemaName, table.name)}_index_${position}`;
+        const columns = index.columns
+          .map(column => (column.type === 'expression' ? `(${column.value})` : this.quote(column.value)))
+          .join(', ');
+        const unique = index.unique ? 'UNIQUE ' : '';
+        const tableName = this.qualify(table.schemaName, table.name);
+
+        if (this.dialect === 'postgres' && index.type) {
+          return `CREATE ${unique}INDEX ${this.quote(name)} ON ${tableName} USING ${index.type.toUpperCase()} (${columns});`;
+        }
+        const using = this.dialect === 'mysql' && index.type ? ` USING ${index.type.toUpperCase()}` : '';
+        return `CREATE ${unique}INDEX ${this.quote(name)} ON ${tableName} (${columns})${using};`;
+      });
+  }
+
+  foreignKeyClause(ref) {
+    const fromColumns = ref.fromFields.map(name => this.quote(name)).join(', ');
+    const toColumns = ref.toFields.map(name => this.quote(name)).join(', ');
+    let clause = `FOREIGN KEY (${fromColumns}) REFERENCES ${this.qualify(ref.toSchema, ref.toTable)} (${toColumns})`;
+    if (ref.onDelete) clause += ` ON DELETE ${ref.onDelete.toUpperCase()}`;
+    if (ref.onUpdate) clause += ` ON UPDATE ${ref.onUpdate.toUpperCase()}`;
+    return clause;
+  }
+
+  addForeignKey(ref) {
+    return `ALTER TABLE ${this.qualify(ref.fromSchema, ref.fromTable)} ADD ${this.foreignKeyClause(ref)};`;
+  }
+
+  /**
+   * Builds the `<from>_<to>` table that stores a many-to-many ref, with a column and
+   * foreign key for each side.
+   */
+  buildJunctionTable(ref) {
+    const side = (schemaName, tableName, fieldNames) => {
+      const table = this.tables.find(t => t.name === tableName && (t.schemaName || DEFAULT_SCHEMA) === (schemaName || DEFAULT_SCHEMA));
+      return fieldNames.map(fieldName => {
+        const field = table && table.fields.find(f => f.name === fieldName);
+        return {
+          name: `${tableName}_${fieldName}`,
+          field: field || { type: { type_name: 'int' } }
+        };
+      });
+    };
+    const fromColumns = side(ref.fromSchema, ref.fromTable, ref.fromFields);
+    const toColumns = side(ref.toSchema, ref.toTable, ref.toFields);
+    const columns = [...fromColumns, ...toColumns];
+    const name = `${ref.fromTable}_${ref.toTable}`;
+    const schemaName = ref.fromSchema || DEFAULT_SCHEMA;
+
+    const table = {
+      name,
+      schemaName,
+      fields: columns.map(column => ({
+        name: column.name,
+        type: column.field.type,
+        not_null: true
+      })),
+      primaryKey: columns.map(column => column.name),
+      indexes: []
+    };
+    const junctionRef = (columnsOnSide, toSchema, toTable, toFields) => ({
+      fromSchema: schemaName,
+      fromTable: name,
+      fromFields: columnsOnSide.map(column => column.name),
+      toSchema,
+      toTable,
+      toFields,
+      onDelete: 'cascade',
+      onUpdate: null
+    });
+
+    return {
+      table,
+      refs: [
+        junctionRef(fromColumns, ref.fromSchema, ref.fromTable, ref.fromFields),
+        junctionRef(toColumns, ref.toSchema, ref.toTable, ref.toFields)
+      ]
+    };
+  }
+
+  createComments(table) {
+    const tableName = this.qualify(table.schemaName, table.name);
+    const comments = [];
+    if (table.note) {
+      comments.push(`COMMENT ON TABLE ${tableName} IS ${this.string(table.note)};`);
+    }
+    table.fields
+      .filter(field => field.note)
+      .forEach(field => {
+        comments.push(`COMMENT ON COLUMN ${tableName}.${this.quote(field.name)} IS ${this.string(field.note)};`);
+      });
+    return comments;
+  }
+
+  lineComment(text) {
+    return text.split('\n').map(line => `-- ${line}`).join('\n');
+  }
+}
+
+/**
+ * Converts a parsed DBML model to SQL for 'postgres', 'mysql' or 'sqlite'. Without a
+ * dialect, the model's `Project { database_type }` is used, then PostgreSQL.
+ */
+export function toSQL(model, dialect) {
+  const projectDialect = model.project && normalizeDialect(model.project.database_type);
+  return new SqlExporter(model, dialect || projectDialect || 'postgres').export();
+}
@@ -0,0 +1,339 @@
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttribute = (text) => escapeText(text).replace(/"/g, '&quot;');
+const toKebabCase = (name) => name.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`);
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+
+/**
+ * Text node of a VirtualDocument.
+ */
+class VirtualText {
+  constructor(data, ownerDocument) {
+    this.nodeType = 3;
+    this.data = String(data);
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(value) {
+    this.data = String(value);
+  }
+
+  get outerHTML() {
+    return escapeText(this.data);
+  }
+
+  cloneNode() {
+    return new VirtualText(this.data, this.ownerDocument);
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+}
+
+/**
+ * Element of a VirtualDocument. Implements the part of the DOM that DiagramRenderer
+ * uses to build and export a diagram: attributes, classList, inline style, tree
+ * editing, simple selectors and XML serialization. Events are accepted and ignored.
+ */
+class VirtualElement {
+  constructor(tagName, namespaceURI, ownerDocument) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.localName = tagName;
+    this.namespaceURI = namespaceURI;
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map();
+    this.style = {};
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  set id(value) {
+    this.setAttribute('id', value);
+  }
+
+  get className() {
+    return this.getAttribute('class') || '';
+  }
+
+  set className(value) {
+    this.setAttribute('class', value);
+  }
+
+  get classList() {
+    const read = () => this.className.split(/\s+/).filter(Boolean);
+    const write = (names) => this.setAttribute('class', names.join(' '));
+    return {
+      add: (...names) => write([...new Set([...read(), ...names])]),
+      remove: (...names) => write(read().filter(name => !names.includes(name))),
+      contains: (name) => read().includes(name),
+      toggle: (name, force) => {
+        const add = force === undefined ? !read().includes(name) : force;
+        if (add) {
+          write([...new Set([...read(), name])]);
+        } else {
+          write(read().filter(other => other !== name));
+        }
+        return add;
+      }
+    };
+  }
+
+  /**
+   * The `style` attribute is kept in `style`, as in the browser, so
+   * `element.style.display` and `setAttribute('style', ...)` stay in sync.
+   */
+  setAttribute(name, value) {
+    if (name === 'style') {
+      this.style = {};
+      String(value).split(';').forEach(declaration => {
+        const [property, ...rest] = declaration.split(':');
+        if (property.trim() && rest.length) {
+          this.style[toCamelCase(property.trim())] = rest.join(':').trim();
+        }
+      });
+      return;
+    }
+    this.attributes.set(name, String(value));
+  }
+
+  getAttribute(name) {
+    if (name === 'style') return this.getStyleText() || null;
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  hasAttribute(name) {
+    return this.getAttribute(name) !== null;
+  }
+
+  removeAttribute(name) {
+    if (name === 'style') {
+      this.style = {};
+    } else {
+      this.attributes.delete(name);
+    }
+  }
+
+  getStyleText() {
+    return Object.entries(this.style)
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      .map(([property, value]) => `${toKebabCase(property)}: ${value};`)
+      .join(' ');
+  }
+
+  appendChild(node) {
+    node.remove();
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  append(...nodes) {
+    nodes.forEach(node => {
+      this.appendChild(typeof node === 'string' ? this.ownerDocument.createTextNode(node) : node);
+    });
+  }
+
+  insertBefore(node, reference) {
+    if (!reference) return this.appendChild(node);
+    node.remove();
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+    return node;
+  }
+
+  removeChild(node) {
+    const index = this.childNodes.indexOf(node);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      node.parentNode = null;
+    }
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+
+  replaceChildren(...nodes) {
+    [...this.childNodes].forEach(child => this.removeChild(child));
+    this.append(...nodes);
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  replaceWith(node) {
+    if (this.parentNode) this.parentNode.replaceChild(node, this);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.replaceChildren();
+    if (value !== '' && value !== null && value !== undefined) {
+      this.appendChild(this.ownerDocument.createTextNode(value));
+    }
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(node => node.outerHTML).join('');
+  }
+
+  /**
+   * Only clearing is supported; there is no markup parser.
+   */
+  set innerHTML(value) {
+    if (value) {
+      throw new Error('VirtualElement only supports clearing innerHTML');
+    }
+    this.replaceChildren();
+  }
+
+  /**
+   * Serializes as XML. The outermost SVG element gets the SVG namespace declaration.
+   */
+  get outerHTML() {
+    const attributes = new Map(this.attributes);
+    const style = this.getStyleText();
+    if (style) attributes.set('style', style);
+    const isSvgRoot = this.namespaceURI === SVG_NAMESPACE &&
+      (!this.parentNode || this.parentNode.namespaceURI !== SVG_NAMESPACE);
+    if (isSvgRoot && !attributes.has('xmlns')) {
+      attributes.set('xmlns', SVG_NAMESPACE);
+    }
+
+    const attributeText = Array.from(attributes, ([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+    if (!this.childNodes.length) {
+      return `<${this.tagName}${attributeText}/>`;
+    }
+    return `<${this.tagName}${attributeText}>${this.innerHTML}</${this.tagName}>`;
+  }
+
+  cloneNode(deep = false) {
+    const clone = new VirtualElement(this.tagName, this.namespaceURI, this.ownerDocument);
+    clone.attributes = new Map(this.attributes);
+    clone.style = { ...this.style };
+    if (deep) {
+      this.childNodes.forEach(node => clone.appendChild(node.cloneNode(true)));
+    }
+    return clone;
+  }
+
+  /**
+   * Matches comma-separated compound selectors made of a tag name, `#id` and `.class`
+   * parts, e.g. `svg.db-chart` or `.a, .b`. Combinators and attribute selectors never match.
+   */
+  matches(selector) {
+    return selector.split(',').some(part => {
+      const compound = part.trim();
+      if (!/^[\w-]*([#.][\w-]+)*$/.test(compound)) return false;
+
+      const [, tagName] = /^([\w-]*)/.exec(compound);
+      if (tagName && tagName !== this.tagName) return false;
+      const classNames = this.className.split(/\s+/);
+      return (compound.match(/[#.][\w-]+/g) || []).every(token => (
+        token[0] === '#' ? this.id === token.slice(1) : classNames.includes(token.slice(1))
+      ));
+    });
+  }
+
+  closest(selector) {
+    let node = this;
+    while (node && node.nodeType === 1) {
+      if (node.matches(selector)) return node;
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    const results = [];
+    const visit = (element) => {
+      element.children.forEach(child => {
+        if (child.matches(selector)) results.push(child);
+        visit(child);
+      });
+    };
+    visit(this);
+    return results;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+
+  dispatchEvent() {
+    return true;
+  }
+
+  getBoundingClientRect() {
+    return { x: 0, y: 0, left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 };
+  }
+
+  get clientWidth() {
+    return 0;
+  }
+
+  get clientHeight() {
+    return 0;
+  }
+
+  get offsetWidth() {
+    return 0;
+  }
+}
+
+/**
+ * Minimal stand-in for `document` that lets DiagramRenderer run without a browser.
+ * It has no window, so the renderer serializes through `outerHTML` instead of XMLSerializer.
+ */
+export class VirtualDocument {
+  constructor() {
+    this.defaultView = null;
+  }
+
+  createElementNS(namespaceURI, tagName) {
+    return new VirtualElement(tagName, namespaceURI, this);
+  }
+
+  createElement(tagName) {
+    return new VirtualElement(tagName.toLowerCase(), HTML_NAMESPACE, this);
+  }
+
+  createTextNode(data) {
+    return new VirtualText(data, this);
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+}
@@ -0,0 +1,27 @@
+import { DiagramRenderer } from '../diagram/DiagramRenderer.js';
+import { DIAGRAM_STYLES } from '../diagram/diagramStyles.js';
+import { parseDbml } from '../parser/DbmlParser.js';
+import { VirtualDocument } from './VirtualDocument.js';
+
+/**
+ * Renders DBML to a standalone SVG document without a browser, using the same parser,
+ * layout strategies and line routing as the element. Runs in Node.
+ *
+ * Options: `layout` and `layoutOptions` pick the layout strategy, `positions` pins tables
+ * (as returned by the element's getPositions), `showIndexes: false` hides index footers,
+ * and `background`, `padding` and `styles` are passed to the export.
+ * Throws a DbmlParseError when the DBML is invalid.
+ */
+export function renderToSVGString(dbml, options = {}) {
+  const { background, padding, styles = DIAGRAM_STYLES, ...rendererOptions } = options;
+
+  const container = new VirtualDocument().createElement('div');
+  const renderer = new DiagramRenderer(container, {
+    ...rendererOptions,
+    interactive: false,
+    transitions: false
+  });
+  renderer.render(parseDbml(dbml));
+
+  return renderer.exportSVG({ styles, background, padding });
+}
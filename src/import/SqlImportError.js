@@ -0,0 +1,13 @@
+/**
+ * Error raised when SQL DDL cannot be tokenized or a statement it understands is malformed.
+ * Carries the 1-based line and column of the offending token.
+ */
+export class SqlImportError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'SqlImportError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
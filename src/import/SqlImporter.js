@@ -0,0 +1,885 @@
+import { SqlTokenizer, SqlTokenType } from './SqlTokenizer.js';
+import { SqlImportError } from './SqlImportError.js';
+
+/**
+ * Schemas that DBML leaves implicit: PostgreSQL's `public`, SQLite's `main` and SQL Server's `dbo`.
+ */
+const DEFAULT_SCHEMAS = ['public', 'main', 'dbo'];
+
+const SERIAL_TYPES = {
+  smallserial: 'smallint',
+  serial2: 'smallint',
+  serial: 'integer',
+  serial4: 'integer',
+  bigserial: 'bigint',
+  serial8: 'bigint'
+};
+
+/**
+ * Words that end a column type and start a column constraint.
+ */
+const COLUMN_CONSTRAINTS = [
+  'constraint', 'not', 'null', 'primary', 'unique', 'default', 'references', 'check',
+  'auto_increment', 'autoincrement', 'identity', 'generated', 'collate', 'comment', 'on',
+  'charset', 'as', 'visible', 'invisible', 'stored', 'virtual'
+];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Converts PostgreSQL, MySQL and SQLite DDL into DBML. Reads CREATE TABLE, CREATE INDEX,
+ * CREATE TYPE ... AS ENUM, ALTER TABLE ... ADD and COMMENT ON; other statements such as
+ * INSERT, SET or CREATE FUNCTION are skipped, so whole dumps can be imported.
+ */
+export class SqlImporter {
+  constructor(source) {
+    this.source = source || '';
+    this.tables = [];
+    this.enums = [];
+    this.refs = [];
+  }
+
+  import() {
+    const tokens = new SqlTokenizer(this.source).tokenize();
+    this.splitStatements(tokens).forEach(statement => {
+      this.tokens = statement;
+      this.pos = 0;
+      this.parseStatement();
+    });
+
+    if (!this.tables.length && !this.enums.length) {
+      throw new SqlImportError('No CREATE TABLE or CREATE TYPE statements found', 1, 1);
+    }
+    return this.toDbml();
+  }
+
+  /**
+   * Groups tokens into statements at each top-level `;`. Every statement ends with an EOF token.
+   */
+  splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+    tokens.forEach(token => {
+      if (token.type === SqlTokenType.EOF || (token.type === SqlTokenType.PUNCTUATION && token.value === ';')) {
+        if (current.length) {
+          statements.push([...current, { ...token, type: SqlTokenType.EOF, value: '' }]);
+        }
+        current = [];
+      } else {
+        current.push(token);
+      }
+    });
+    return statements;
+  }
+
+  parseStatement() {
+    if (this.acceptWord('create')) {
+      this.acceptWords('or', 'replace');
+      while (this.acceptWord('temp', 'temporary', 'unlogged', 'global', 'local')) {
+        // Storage modifiers don't affect the schema.
+      }
+      if (this.acceptWord('table')) {
+        this.parseCreateTable();
+      } else if (this.checkWord('unique', 'index', 'fulltext', 'spatial')) {
+        this.parseCreateIndex();
+      } else if (this.acceptWord('type')) {
+        this.parseCreateType();
+      }
+    } else if (this.acceptWord('alter')) {
+      if (this.acceptWord('table')) {
+        this.parseAlterTable();
+      }
+    } else if (this.checkWord('comment') && this.isWord(this.peek(1), 'on')) {
+      this.parseComment();
+    }
+  }
+
+  parseCreateTable() {
+    this.acceptWords('if', 'not', 'exists');
+    const { schemaName, name } = this.parseQualifiedName();
+    if (!this.checkPunct('(')) return;
+
+    const table = { schemaName, name, fields: [], indexes: [], note: null };
+    const existing = this.findTable(schemaName, name);
+    if (existing) {
+      this.tables.splice(this.tables.indexOf(existing), 1, table);
+    } else {
+      this.tables.push(table);
+    }
+
+    this.expectPunct('(');
+    while (!this.checkPunct(')')) {
+      this.parseTableItem(table);
+      if (!this.acceptPunct(',')) break;
+    }
+    this.expectPunct(')');
+
+    while (!this.check(SqlTokenType.EOF)) {
+      if (this.acceptWord('comment')) {
+        this.acceptPunct('=');
+        if (this.check(SqlTokenType.STRING)) {
+          table.note = this.advance().value;
+        }
+      } else {
+        this.advance();
+      }
+    }
+  }
+
+  /**
+   * Parses one entry of a CREATE TABLE body or ALTER TABLE ... ADD: a column or a
+   * PRIMARY KEY, UNIQUE, FOREIGN KEY or MySQL KEY/INDEX constraint.
+   */
+  parseTableItem(table) {
+    let constraintName = null;
+    if (this.acceptWord('constraint')) {
+      constraintName = this.parseName();
+    }
+
+    if (this.acceptWord('primary')) {
+      this.expectWord('key');
+      this.parseIndexName();
+      this.setPrimaryKey(table, this.parseIndexColumns());
+    } else if (this.acceptWord('unique')) {
+      this.acceptWord('key', 'index');
+      const name = this.parseIndexName() || constraintName;
+      this.addUnique(table, this.parseIndexColumns(), name);
+    } else if (this.acceptWord('foreign')) {
+      this.expectWord('key');
+      this.parseIndexName();
+      const columns = this.parseNameList();
+      this.expectWord('references');
+      this.addRef(this.parseReferences(table, columns, constraintName));
+    } else if (this.isIndexDefinition()) {
+      const type = this.checkWord('fulltext', 'spatial') ? this.advance().value.toLowerCase() : null;
+      this.acceptWord('key', 'index');
+      const name = this.parseIndexName();
+      const method = this.parseUsing();
+      const columns = this.parseIndexColumns();
+      table.indexes.push({ columns, unique: false, pk: false, name, type: type || method || this.parseUsing() });
+    } else if (this.checkWord('check', 'exclude', 'like', 'period')) {
+      // Nothing to show in the diagram.
+    } else {
+      this.acceptWord('column');
+      this.parseColumn(table);
+    }
+
+    this.skipItem();
+  }
+
+  /**
+   * MySQL's `KEY name (a)` / `INDEX (a)`, as opposed to a column that happens to be
+   * called `key` or `index`, whose type arguments would be numbers.
+   */
+  isIndexDefinition() {
+    if (this.checkWord('fulltext', 'spatial')) return true;
+    if (!this.checkWord('key', 'index')) return false;
+
+    const next = this.peek(1);
+    if (next.type === SqlTokenType.PUNCTUATION) return next.value === '(';
+    if (this.isWord(next, 'using')) return true;
+    return this.isPunct(this.peek(2), '(') && this.peek(3).type !== SqlTokenType.NUMBER;
+  }
+
+  parseColumn(table) {
+    const name = this.parseName();
+    const type = this.parseType();
+    const field = {
+      name,
+      type: type.text,
+      pk: false,
+      notNull: false,
+      unique: false,
+      increment: type.increment,
+      dbdefault: null,
+      note: null
+    };
+    table.fields.push(field);
+
+    if (type.enumValues) {
+      const enumDef = {
+        schemaName: table.schemaName,
+        name: `${table.name}_${name}_enum`,
+        values: type.enumValues
+      };
+      this.enums.push(enumDef);
+      field.type = this.formatName(enumDef.name);
+    }
+
+    while (!this.atItemEnd()) {
+      if (this.acceptWord('constraint')) {
+        this.parseName();
+      } else if (this.acceptWord('not')) {
+        if (this.acceptWord('null')) field.notNull = true;
+      } else if (this.acceptWord('primary')) {
+        this.acceptWord('key');
+        field.pk = true;
+      } else if (this.acceptWord('unique')) {
+        this.acceptWord('key');
+        field.unique = true;
+      } else if (this.acceptWord('default')) {
+        field.dbdefault = this.parseDefault();
+        if (field.dbdefault.type === 'expression' && /^nextval\s*\(/i.test(field.dbdefault.value)) {
+          field.increment = true;
+          field.dbdefault = null;
+        }
+      } else if (this.acceptWord('references')) {
+        this.addRef(this.parseReferences(table, [name], null));
+      } else if (this.acceptWord('auto_increment', 'autoincrement', 'identity')) {
+        field.increment = true;
+        this.skipParens();
+      } else if (this.acceptWord('generated')) {
+        this.acceptWord('always');
+        this.acceptWords('by', 'default');
+        this.acceptWord('as');
+        if (this.acceptWord('identity')) field.increment = true;
+        this.skipParens();
+      } else if (this.acceptWord('comment')) {
+        if (this.check(SqlTokenType.STRING)) field.note = this.advance().value;
+      } else if (this.acceptWord('collate')) {
+        this.parseName();
+      } else {
+        this.skipToken();
+      }
+    }
+  }
+
+  /**
+   * Reads a column type such as `varchar(255)`, `character varying(20)`, `numeric(10, 2)`,
+   * `int(11) unsigned`, `text[]` or `auth.role`, and returns its DBML spelling.
+   * SERIAL types become their integer type plus `increment`; MySQL ENUM(...) returns its values.
+   */
+  parseType() {
+    const start = this.peek();
+    if (start.type !== SqlTokenType.WORD && start.type !== SqlTokenType.QUOTED) {
+      throw this.error('Expected a column type', start);
+    }
+
+    const { schemaName, name } = this.parseQualifiedName();
+    const words = [name];
+    let args = null;
+    let argsInside = false;
+    let array = '';
+
+    for (;;) {
+      const token = this.peek();
+      if (this.isPunct(token, '(') && !args) {
+        args = this.parseTypeArgs();
+        argsInside = false;
+      } else if (this.isPunct(token, '[')) {
+        this.advance();
+        if (this.check(SqlTokenType.NUMBER)) this.advance();
+        this.expectPunct(']');
+        array += '[]';
+      } else if (token.type === SqlTokenType.WORD && !this.isColumnConstraint(token)) {
+        words.push(this.advance().value);
+        argsInside = Boolean(args);
+      } else {
+        break;
+      }
+    }
+
+    const lower = name.toLowerCase();
+    if (words.length === 1 && !args && SERIAL_TYPES[lower]) {
+      return { text: SERIAL_TYPES[lower] + array, increment: true, enumValues: null };
+    }
+    if (lower === 'enum' && args && args.some(arg => arg.type === SqlTokenType.STRING)) {
+      return { text: name, increment: false, enumValues: args.map(arg => arg.value) };
+    }
+
+    const argText = args ? `(${args.map(arg => arg.value).join(',')})` : '';
+    let text;
+    if (argsInside) {
+      text = this.formatName(`${words[0]}${argText} ${words.slice(1).join(' ')}`) + array;
+    } else {
+      text = this.formatName(words.join(' ')) + argText + array;
+    }
+    if (schemaName) {
+      text = `${this.formatName(schemaName)}.${text}`;
+    }
+    return { text, increment: false, enumValues: null };
+  }
+
+  parseTypeArgs() {
+    const args = [];
+    this.expectPunct('(');
+    while (!this.checkPunct(')')) {
+      const token = this.peek();
+      if (token.type === SqlTokenType.EOF) {
+        throw this.error("Expected ')' to close the type arguments", token);
+      }
+      this.advance();
+      if (!this.isPunct(token, ',')) {
+        args.push(token);
+      }
+    }
+    this.advance();
+    return args;
+  }
+
+  isColumnConstraint(token) {
+    if (this.isWord(token, 'character')) {
+      return this.isWord(this.peek(1), 'set');
+    }
+    return this.isWord(token, ...COLUMN_CONSTRAINTS);
+  }
+
+  /**
+   * Reads a DEFAULT value as { type, value } in the shape the DBML parser produces:
+   * 'string', 'number', 'boolean', 'null' or 'expression'.
+   */
+  parseDefault() {
+    const tokens = [];
+    do {
+      if (this.checkPunct('(')) {
+        const start = this.pos;
+        this.skipParens();
+        tokens.push(...this.tokens.slice(start, this.pos));
+      } else {
+        tokens.push(this.advance());
+      }
+    } while (!this.atItemEnd() && !this.isColumnConstraint(this.peek()));
+
+    return this.classifyDefault(tokens);
+  }
+
+  classifyDefault(tokens) {
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+
+    // 'active'::character varying
+    if (first.type === SqlTokenType.STRING && (tokens.length === 1 || this.isPunct(tokens[1], '::'))) {
+      return { type: 'string', value: first.value };
+    }
+    if (first.type === SqlTokenType.NUMBER && tokens.length === 1) {
+      return { type: 'number', value: Number(first.value) };
+    }
+    if (this.isPunct(first, '-') && tokens.length === 2 && last.type === SqlTokenType.NUMBER) {
+      return { type: 'number', value: -Number(last.value) };
+    }
+    if (tokens.length === 1 && this.isWord(first, 'true', 'false')) {
+      return { type: 'boolean', value: first.value.toLowerCase() === 'true' };
+    }
+    if (tokens.length === 1 && this.isWord(first, 'null')) {
+      return { type: 'null', value: null };
+    }
+    if (this.isPunct(first, '(') && this.isPunct(last, ')') && this.closingParen(tokens, 0) === tokens.length - 1) {
+      return this.classifyDefault(tokens.slice(1, -1));
+    }
+    return { type: 'expression', value: this.source.slice(first.start, last.end) };
+  }
+
+  /**
+   * Index of the `)` that closes the `(` at `openIndex` within `tokens`.
+   */
+  closingParen(tokens, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < tokens.length; i++) {
+      if (this.isPunct(tokens[i], '(')) depth++;
+      if (this.isPunct(tokens[i], ')') && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Parses the part after REFERENCES: the target table, its columns and the ON DELETE /
+   * ON UPDATE actions. Without a column list the target's primary key is used.
+   */
+  parseReferences(table, columns, name) {
+    const target = this.parseQualifiedName();
+    const ref = {
+      name,
+      from: { schemaName: table.schemaName, tableName: table.name, columns },
+      to: { schemaName: target.schemaName, tableName: target.name, columns: this.checkPunct('(') ? this.parseNameList() : null },
+      onDelete: null,
+      onUpdate: null
+    };
+
+    for (;;) {
+      if (this.acceptWord('on')) {
+        const event = this.acceptWord('delete') ? 'onDelete' : (this.acceptWord('update') ? 'onUpdate' : null);
+        const action = this.parseRefAction();
+        if (event) ref[event] = action;
+      } else if (this.acceptWord('match')) {
+        this.advance();
+      } else if (!this.acceptWord('deferrable', 'not', 'initially', 'immediate', 'deferred', 'enforced')) {
+        break;
+      }
+    }
+    return ref;
+  }
+
+  parseRefAction() {
+    if (this.acceptWord('set')) {
+      return `set ${this.advance().value.toLowerCase()}`;
+    }
+    if (this.acceptWord('no')) {
+      this.acceptWord('action');
+      return 'no action';
+    }
+    return this.advance().value.toLowerCase();
+  }
+
+  /**
+   * CREATE [UNIQUE] INDEX [name] ON table [USING method] (columns). Indexes on tables
+   * that were not created earlier in the script are ignored.
+   */
+  parseCreateIndex() {
+    const unique = this.acceptWord('unique');
+    const type = this.checkWord('fulltext', 'spatial') ? this.advance().value.toLowerCase() : null;
+    this.expectWord('index');
+    this.acceptWord('concurrently');
+    this.acceptWords('if', 'not', 'exists');
+    const name = this.checkWord('on') ? null : this.parseQualifiedName().name;
+    this.expectWord('on');
+    this.acceptWord('only');
+
+    const target = this.parseQualifiedName();
+    const table = this.findTable(target.schemaName, target.name);
+    const method = this.parseUsing();
+    const columns = this.parseIndexColumns();
+    if (!table) return;
+
+    table.indexes.push({ columns, unique, pk: false, name, type: type || method || this.parseUsing() });
+  }
+
+  /**
+   * CREATE TYPE name AS ENUM ('a', 'b'). Composite and range types are skipped.
+   */
+  parseCreateType() {
+    const { schemaName, name } = this.parseQualifiedName();
+    if (!this.acceptWord('as') || !this.acceptWord('enum')) return;
+
+    const values = [];
+    this.expectPunct('(');
+    while (!this.checkPunct(')')) {
+      const token = this.peek();
+      if (token.type !== SqlTokenType.STRING) {
+        throw this.error('Expected an enum value', token);
+      }
+      values.push(this.advance().value);
+      if (!this.acceptPunct(',')) break;
+    }
+    this.expectPunct(')');
+
+    this.enums.push({ schemaName, name, values });
+  }
+
+  /**
+   * ALTER TABLE ... ADD [COLUMN | CONSTRAINT ...], as pg_dump writes primary and foreign
+   * keys. Other actions are skipped.
+   */
+  parseAlterTable() {
+    this.acceptWords('if', 'exists');
+    this.acceptWord('only');
+    const target = this.parseQualifiedName();
+    const table = this.findTable(target.schemaName, target.name);
+    if (!table) return;
+
+    while (!this.check(SqlTokenType.EOF)) {
+      if (this.acceptWord('add')) {
+        this.acceptWords('if', 'not', 'exists');
+        this.parseTableItem(table);
+      } else {
+        this.skipItem();
+      }
+      if (!this.acceptPunct(',')) break;
+    }
+  }
+
+  /**
+   * COMMENT ON TABLE t IS '...' and COMMENT ON COLUMN t.c IS '...' become notes.
+   */
+  parseComment() {
+    this.advance();
+    this.advance();
+    const kindToken = this.peek();
+    if (!this.acceptWord('table', 'column')) return;
+    const kind = kindToken.value.toLowerCase();
+
+    const parts = [this.parseName()];
+    while (this.acceptPunct('.')) {
+      parts.push(this.parseName());
+    }
+    this.expectWord('is');
+    const note = this.check(SqlTokenType.STRING) ? this.advance().value : null;
+
+    const columnName = kind === 'column' ? parts.pop() : null;
+    const tableName = parts.pop();
+    const table = this.findTable(parts.length ? this.normalizeSchema(parts.pop()) : null, tableName);
+    if (!table) return;
+
+    if (columnName) {
+      const field = table.fields.find(f => f.name === columnName);
+      if (field) field.note = note;
+    } else {
+      table.note = note;
+    }
+  }
+
+  setPrimaryKey(table, columns) {
+    if (columns.length === 1 && columns[0].type === 'column') {
+      const field = table.fields.find(f => f.name === columns[0].value);
+      if (field) {
+        field.pk = true;
+        return;
+      }
+    }
+    table.indexes.push({ columns, unique: false, pk: true, name: null, type: null });
+  }
+
+  /**
+   * Single-column unique constraints become the column's `unique` setting; the
+   * generated constraint name is dropped.
+   */
+  addUnique(table, columns, name) {
+    if (columns.length === 1 && columns[0].type === 'column') {
+      const field = table.fields.find(f => f.name === columns[0].value);
+      if (field) {
+        field.unique = true;
+        return;
+      }
+    }
+    table.indexes.push({ columns, unique: true, pk: false, name, type: this.parseUsing() });
+  }
+
+  addRef(ref) {
+    this.refs.push(ref);
+  }
+
+  /**
+   * Reads `(a, b DESC, lower(c))` into index columns of type 'column' or 'expression'.
+   * MySQL prefix lengths such as `name(10)` are dropped.
+   */
+  parseIndexColumns() {
+    const columns = [];
+    this.expectPunct('(');
+    while (!this.checkPunct(')')) {
+      const start = this.peek();
+      if (start.type === SqlTokenType.EOF) {
+        throw this.error("Expected ')' to close the column list", start);
+      }
+
+      if (this.isIndexColumnName()) {
+        columns.push({ value: this.advance().value, type: 'column' });
+        while (!this.checkPunct(',') && !this.checkPunct(')') && !this.check(SqlTokenType.EOF)) {
+          this.skipToken();
+        }
+      } else {
+        const from = this.pos;
+        while (!this.checkPunct(',') && !this.checkPunct(')') && !this.check(SqlTokenType.EOF)) {
+          this.skipToken();
+        }
+        const tokens = this.tokens.slice(from, this.pos);
+        const wrapped = this.isPunct(tokens[0], '(') && this.closingParen(tokens, 0) === tokens.length - 1;
+        const expression = wrapped ? tokens.slice(1, -1) : tokens;
+        columns.push({
+          value: this.source.slice(expression[0].start, expression[expression.length - 1].end),
+          type: 'expression'
+        });
+      }
+      if (!this.acceptPunct(',')) break;
+    }
+    this.expectPunct(')');
+    return columns;
+  }
+
+  isIndexColumnName() {
+    const token = this.peek();
+    if (token.type !== SqlTokenType.WORD && token.type !== SqlTokenType.QUOTED) return false;
+
+    const next = this.peek(1);
+    if (this.isPunct(next, '(')) {
+      return this.peek(2).type === SqlTokenType.NUMBER && this.isPunct(this.peek(3), ')');
+    }
+    // Anything but an operator after the name is a modifier such as DESC, COLLATE or an opclass.
+    return this.isPunct(next, ',') || this.isPunct(next, ')') || next.type === SqlTokenType.WORD;
+  }
+
+  parseNameList() {
+    return this.parseIndexColumns()
+      .filter(column => column.type === 'column')
+      .map(column => column.value);
+  }
+
+  /**
+   * Optional index name before a column list, as in `UNIQUE KEY name (a)`.
+   */
+  parseIndexName() {
+    if (this.check(SqlTokenType.WORD) || this.check(SqlTokenType.QUOTED)) {
+      if (!this.checkWord('using')) return this.parseName();
+    }
+    return null;
+  }
+
+  parseUsing() {
+    if (this.acceptWord('using')) {
+      return this.parseName().toLowerCase();
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // DBML output
+  // ---------------------------------------------------------------------------
+
+  toDbml() {
+    const blocks = [
+      ...this.enums.map(enumDef => this.formatEnum(enumDef)),
+      ...this.tables.map(table => this.formatTable(table)),
+      this.refs.map(ref => this.formatRef(ref)).filter(Boolean).join('\n')
+    ];
+    return blocks.filter(Boolean).join('\n\n') + '\n';
+  }
+
+  formatEnum(enumDef) {
+    const values = enumDef.values.map(value => `  ${this.formatName(value)}`).join('\n');
+    return `Enum ${this.formatQualifiedName(enumDef.schemaName, enumDef.name)} {\n${values}\n}`;
+  }
+
+  formatTable(table) {
+    const lines = table.fields.map(field => {
+      const settings = [];
+      if (field.pk) settings.push('pk');
+      if (field.increment) settings.push('increment');
+      if (field.notNull && !field.pk) settings.push('not null');
+      if (field.unique) settings.push('unique');
+      if (field.dbdefault) settings.push(`default: ${this.formatDefault(field.dbdefault)}`);
+      if (field.note) settings.push(`note: ${this.formatString(field.note)}`);
+      const suffix = settings.length ? ` [${settings.join(', ')}]` : '';
+      return `  ${this.formatName(field.name)} ${field.type}${suffix}`;
+    });
+
+    if (table.indexes.length) {
+      lines.push('', '  indexes {');
+      table.indexes.forEach(index => lines.push(`    ${this.formatIndex(index)}`));
+      lines.push('  }');
+    }
+    if (table.note) {
+      lines.push('', `  Note: ${this.formatString(table.note)}`);
+    }
+
+    return `Table ${this.formatQualifiedName(table.schemaName, table.name)} {\n${lines.join('\n')}\n}`;
+  }
+
+  formatIndex(index) {
+    const columns = index.columns.map(column => (
+      column.type === 'expression' ? `\`${column.value}\`` : this.formatName(column.value)
+    ));
+    const settings = [];
+    if (index.pk) settings.push('pk');
+    if (index.unique) settings.push('unique');
+    if (index.name) settings.push(`name: ${this.formatString(index.name)}`);
+    if (index.type) settings.push(`type: ${index.type}`);
+
+    const target = columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+    return settings.length ? `${target} [${settings.join(', ')}]` : target;
+  }
+
+  /**
+   * Writes a ref as `Ref name: a.b > c.d`, or returns null when either side names a
+   * table or column the import doesn't know, which the DBML parser would reject.
+   */
+  formatRef(ref) {
+    const fromTable = this.findTable(ref.from.schemaName, ref.from.tableName);
+    const toTable = this.findTable(ref.to.schemaName, ref.to.tableName);
+    if (!fromTable || !toTable) return null;
+
+    const toColumns = ref.to.columns || this.getPrimaryKey(toTable);
+    const hasColumns = (table, columns) => columns.length && columns.every(name => table.fields.some(f => f.name === name));
+    if (!hasColumns(fromTable, ref.from.columns) || !hasColumns(toTable, toColumns) ||
+        ref.from.columns.length !== toColumns.length) {
+      return null;
+    }
+
+    const endpoint = (table, columns) => {
+      const names = columns.map(name => this.formatName(name));
+      const fields = names.length === 1 ? names[0] : `(${names.join(', ')})`;
+      return `${this.formatQualifiedName(table.schemaName, table.name)}.${fields}`;
+    };
+    const settings = [];
+    if (ref.onDelete) settings.push(`delete: ${ref.onDelete}`);
+    if (ref.onUpdate) settings.push(`update: ${ref.onUpdate}`);
+
+    const name = ref.name ? ` ${this.formatName(ref.name)}` : '';
+    const suffix = settings.length ? ` [${settings.join(', ')}]` : '';
+    return `Ref${name}: ${endpoint(fromTable, ref.from.columns)} > ${endpoint(toTable, toColumns)}${suffix}`;
+  }
+
+  getPrimaryKey(table) {
+    const pkIndex = table.indexes.find(index => index.pk);
+    if (pkIndex) return pkIndex.columns.map(column => column.value);
+    return table.fields.filter(field => field.pk).map(field => field.name);
+  }
+
+  formatDefault(dbdefault) {
+    switch (dbdefault.type) {
+      case 'string':
+        return this.formatString(dbdefault.value);
+      case 'expression':
+        return `\`${dbdefault.value}\``;
+      default:
+        return String(dbdefault.value);
+    }
+  }
+
+  formatString(value) {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/'/g, "\\'")
+      .replace(/\n/g, '\\n')
+      .replace(/\t/g, '\\t');
+    return `'${escaped}'`;
+  }
+
+  formatName(name) {
+    return IDENTIFIER.test(name) ? name : `"${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
+  formatQualifiedName(schemaName, name) {
+    return schemaName ? `${this.formatName(schemaName)}.${this.formatName(name)}` : this.formatName(name);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(offset = 0) {
+    const index = Math.min(this.pos + offset, this.tokens.length - 1);
+    return this.tokens[Math.max(index, 0)];
+  }
+
+  advance() {
+    const token = this.peek();
+    if (token.type !== SqlTokenType.EOF) this.pos++;
+    return token;
+  }
+
+  check(type) {
+    return this.peek().type === type;
+  }
+
+  isWord(token, ...words) {
+    return token.type === SqlTokenType.WORD && words.includes(token.value.toLowerCase());
+  }
+
+  isPunct(token, value) {
+    return Boolean(token) && token.type === SqlTokenType.PUNCTUATION && token.value === value;
+  }
+
+  checkWord(...words) {
+    return this.isWord(this.peek(), ...words);
+  }
+
+  checkPunct(value) {
+    return this.isPunct(this.peek(), value);
+  }
+
+  acceptWord(...words) {
+    if (!this.checkWord(...words)) return false;
+    this.advance();
+    return true;
+  }
+
+  /**
+   * Consumes a fixed phrase such as IF NOT EXISTS, but only when all of it is present.
+   */
+  acceptWords(...words) {
+    if (!words.every((word, i) => this.isWord(this.peek(i), word))) return false;
+    words.forEach(() => this.advance());
+    return true;
+  }
+
+  acceptPunct(value) {
+    if (!this.checkPunct(value)) return false;
+    this.advance();
+    return true;
+  }
+
+  expectWord(word) {
+    if (!this.acceptWord(word)) {
+      throw this.error(`Expected ${word.toUpperCase()}`, this.peek());
+    }
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) {
+      throw this.error(`Expected '${value}'`, this.peek());
+    }
+  }
+
+  parseName() {
+    const token = this.peek();
+    if (token.type !== SqlTokenType.WORD && token.type !== SqlTokenType.QUOTED) {
+      throw this.error('Expected a name', token);
+    }
+    return this.advance().value;
+  }
+
+  /**
+   * Reads `name`, `schema.name` or `db.schema.name`. Default schemas such as `public` are dropped.
+   */
+  parseQualifiedName() {
+    const parts = [this.parseName()];
+    while (this.acceptPunct('.')) {
+      parts.push(this.parseName());
+    }
+    return {
+      schemaName: parts.length > 1 ? this.normalizeSchema(parts[parts.length - 2]) : null,
+      name: parts[parts.length - 1]
+    };
+  }
+
+  normalizeSchema(schemaName) {
+    return schemaName && !DEFAULT_SCHEMAS.includes(schemaName.toLowerCase()) ? schemaName : null;
+  }
+
+  findTable(schemaName, name) {
+    return this.tables.find(table => table.name === name && table.schemaName === schemaName) ||
+      (!schemaName ? this.tables.find(table => table.name === name) : null) ||
+      null;
+  }
+
+  atItemEnd() {
+    return this.checkPunct(',') || this.checkPunct(')') || this.check(SqlTokenType.EOF);
+  }
+
+  skipToken() {
+    if (this.checkPunct('(')) {
+      this.skipParens();
+    } else {
+      this.advance();
+    }
+  }
+
+  /**
+   * Skips a balanced `( ... )` group if one starts here.
+   */
+  skipParens() {
+    if (!this.checkPunct('(')) return;
+    let depth = 0;
+    do {
+      const token = this.advance();
+      if (this.isPunct(token, '(')) depth++;
+      if (this.isPunct(token, ')')) depth--;
+    } while (depth > 0 && !this.check(SqlTokenType.EOF));
+  }
+
+  skipItem() {
+    while (!this.atItemEnd()) {
+      this.skipToken();
+    }
+  }
+
+  error(message, token) {
+    return new SqlImportError(message, token.line, token.column);
+  }
+}
+
+/**
+ * Converts SQL DDL to DBML source. Throws SqlImportError for malformed statements or
+ * when the script defines no tables.
+ */
+export function sqlToDbml(sql) {
+  return new SqlImporter(sql).import();
+}
@@ -0,0 +1,216 @@
+import { SqlImportError } from './SqlImportError.js';
+
+/**
+ * Token types produced by the SQL tokenizer.
+ */
+export const SqlTokenType = {
+  WORD: 'word',
+  QUOTED: 'quoted',
+  STRING: 'string',
+  NUMBER: 'number',
+  PUNCTUATION: 'punctuation',
+  EOF: 'eof'
+};
+
+const CLOSING_QUOTES = { '"': '"', '`': '`', '[': ']' };
+
+/**
+ * Splits SQL into tokens that carry their line, column and source offsets.
+ * Understands the quoting of PostgreSQL, MySQL and SQLite: "ident", `ident`, [ident]
+ * (but not array suffixes such as `int[]`), 'string' with doubled or backslash-escaped
+ * quotes and $tag$ dollar-quoted bodies. `--`, `#` and block comments are dropped.
+ */
+export class SqlTokenizer {
+  constructor(source) {
+    this.source = source || '';
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+    this.tokens = [];
+  }
+
+  tokenize() {
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+
+      if (/\s/.test(ch)) {
+        this.advance(1);
+      } else if (this.startsWith('--') || ch === '#') {
+        this.skipLineComment();
+      } else if (this.startsWith('/*')) {
+        this.skipBlockComment();
+      } else if (ch === "'" || (/[EeNn]/.test(ch) && this.peekChar(1) === "'")) {
+        this.readString();
+      } else if (ch === '$' && /^\$[A-Za-z_]*\$/.test(this.source.slice(this.pos, this.pos + 64))) {
+        this.readDollarString();
+      } else if (CLOSING_QUOTES[ch] && !(ch === '[' && /[\]0-9]/.test(this.peekChar(1)))) {
+        this.readQuoted(ch);
+      } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peekChar(1)))) {
+        this.readNumber();
+      } else if (/[A-Za-z_\u0080-\uffff]/.test(ch)) {
+        this.readWord();
+      } else if (this.startsWith('::')) {
+        this.readPunctuation(2);
+      } else {
+        this.readPunctuation(1);
+      }
+    }
+
+    this.push(SqlTokenType.EOF, '', this.line, this.column, this.pos);
+    return this.tokens;
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  peekChar(offset = 0) {
+    return this.source[this.pos + offset] || '';
+  }
+
+  advance(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.source[this.pos] === '\n') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
+  }
+
+  push(type, value, line, column, start) {
+    this.tokens.push({ type, value, line, column, start, end: this.pos });
+  }
+
+  skipLineComment() {
+    while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+      this.advance(1);
+    }
+  }
+
+  skipBlockComment() {
+    const end = this.source.indexOf('*/', this.pos + 2);
+    if (end === -1) {
+      throw new SqlImportError('Unterminated block comment', this.line, this.column);
+    }
+    this.advance(end + 2 - this.pos);
+  }
+
+  /**
+   * Reads a 'string', including E'...' and N'...' prefixes. A doubled quote and a
+   * backslash both escape the next character.
+   */
+  readString() {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    let value = '';
+    if (this.source[this.pos] !== "'") this.advance(1);
+    this.advance(1);
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\' && this.pos + 1 < this.source.length) {
+        value += this.source[this.pos + 1];
+        this.advance(2);
+        continue;
+      }
+      if (ch === "'") {
+        if (this.peekChar(1) === "'") {
+          value += "'";
+          this.advance(2);
+          continue;
+        }
+        this.advance(1);
+        this.push(SqlTokenType.STRING, value, line, column, start);
+        return;
+      }
+      value += ch;
+      this.advance(1);
+    }
+
+    throw new SqlImportError('Unterminated string', line, column);
+  }
+
+  /**
+   * Reads a PostgreSQL $tag$...$tag$ body, as used by function definitions.
+   */
+  readDollarString() {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const tag = /^\$[A-Za-z_]*\$/.exec(this.source.slice(this.pos))[0];
+    const end = this.source.indexOf(tag, this.pos + tag.length);
+    if (end === -1) {
+      throw new SqlImportError(`Unterminated ${tag} string`, line, column);
+    }
+    const value = this.source.slice(this.pos + tag.length, end);
+    this.advance(end + tag.length - this.pos);
+    this.push(SqlTokenType.STRING, value, line, column, start);
+  }
+
+  readQuoted(quote) {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const closing = CLOSING_QUOTES[quote];
+    let value = '';
+    this.advance(1);
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === closing) {
+        if (this.peekChar(1) === closing && closing !== ']') {
+          value += closing;
+          this.advance(2);
+          continue;
+        }
+        this.advance(1);
+        this.push(SqlTokenType.QUOTED, value, line, column, start);
+        return;
+      }
+      value += ch;
+      this.advance(1);
+    }
+
+    throw new SqlImportError('Unterminated quoted identifier', line, column);
+  }
+
+  readNumber() {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const match = /^([0-9]*\.)?[0-9]+([eE][-+]?[0-9]+)?/.exec(this.source.slice(this.pos));
+    this.advance(match[0].length);
+
+    // Names such as "2fa_enabled" start with digits; keep them whole.
+    if (/[A-Za-z_]/.test(this.peekChar())) {
+      const rest = /^[A-Za-z0-9_$]*/.exec(this.source.slice(this.pos))[0];
+      this.advance(rest.length);
+      this.push(SqlTokenType.WORD, match[0] + rest, line, column, start);
+      return;
+    }
+
+    this.push(SqlTokenType.NUMBER, match[0], line, column, start);
+  }
+
+  readWord() {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const match = /^[A-Za-z_\u0080-\uffff][A-Za-z0-9_$\u0080-\uffff]*/.exec(this.source.slice(this.pos));
+    this.advance(match[0].length);
+    this.push(SqlTokenType.WORD, match[0], line, column, start);
+  }
+
+  readPunctuation(length) {
+    const line = this.line;
+    const column = this.column;
+    const start = this.pos;
+    const value = this.source.slice(this.pos, this.pos + length);
+    this.advance(length);
+    this.push(SqlTokenType.PUNCTUATION, value, line, column, start);
+  }
+}
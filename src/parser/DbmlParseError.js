@@ -0,0 +1,15 @@
+/**
+ * Error raised when DBML source cannot be tokenized or parsed.
+ * Carries the 1-based line and column of the offending token and its length,
+ * so editors can underline it.
+ */
+export class DbmlParseError extends Error {
+  constructor(message, line, column, length = 1) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'DbmlParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+    this.length = Math.max(length, 1);
+  }
+}
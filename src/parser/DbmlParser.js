@@ -0,0 +1,616 @@
+import { Tokenizer, TokenType } from './Tokenizer.js';
+import { DbmlParseError } from './DbmlParseError.js';
+import { ModelBuilder } from './ModelBuilder.js';
+
+const REF_OPERATORS = ['<>', '<', '>', '-'];
+
+/**
+ * Recursive-descent parser that turns DBML source into a syntax tree.
+ * The tree keeps every element of the language; ModelBuilder decides what the diagram uses.
+ */
+export class DbmlParser {
+  constructor(source) {
+    this.tokens = new Tokenizer(source).tokenize();
+    this.index = 0;
+  }
+
+  /**
+   * Parses the whole document into { project, tables, enums, refs, tableGroups, notes }.
+   */
+  parse() {
+    const ast = {
+      project: null,
+      tables: [],
+      enums: [],
+      refs: [],
+      tableGroups: [],
+      notes: []
+    };
+
+    this.skipNewlines();
+    while (!this.check(TokenType.EOF)) {
+      const keyword = this.expect(TokenType.IDENTIFIER, 'Expected a top-level element');
+
+      switch (keyword.value.toLowerCase()) {
+        case 'project':
+          ast.project = this.parseProject(keyword);
+          break;
+        case 'table':
+          ast.tables.push(this.parseTable(keyword));
+          break;
+        case 'enum':
+          ast.enums.push(this.parseEnum(keyword));
+          break;
+        case 'ref':
+          ast.refs.push(...this.parseRef(keyword));
+          break;
+        case 'tablegroup':
+          ast.tableGroups.push(this.parseTableGroup(keyword));
+          break;
+        case 'note':
+          ast.notes.push(this.parseStickyNote(keyword));
+          break;
+        default:
+          throw this.error(`Unknown element '${keyword.value}'`, keyword);
+      }
+      this.skipNewlines();
+    }
+
+    return ast;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Top-level elements
+  // ---------------------------------------------------------------------------
+
+  parseProject(keyword) {
+    const project = { name: null, properties: {}, note: null, line: keyword.line, column: keyword.column };
+    if (!this.checkPunct('{')) {
+      project.name = this.parseName();
+    }
+
+    this.parseBlock(() => {
+      const key = this.expect(TokenType.IDENTIFIER, 'Expected a project property');
+      if (key.value.toLowerCase() === 'note') {
+        project.note = this.parseNoteBody();
+        return;
+      }
+      this.expectPunct(':');
+      project.properties[key.value] = this.parseSettingValue();
+    });
+
+    return project;
+  }
+
+  parseTable(keyword) {
+    const { schemaName, name } = this.parseQualifiedName();
+    const table = {
+      name,
+      schemaName,
+      alias: null,
+      settings: [],
+      fields: [],
+      indexes: [],
+      note: null,
+      line: keyword.line,
+      column: keyword.column
+    };
+
+    if (this.checkIdentifier('as')) {
+      this.advance();
+      table.alias = this.parseName();
+    }
+    if (this.checkPunct('[')) {
+      table.settings = this.parseSettings();
+    }
+
+    this.parseBlock(() => {
+      const token = this.peek();
+      const word = token.type === TokenType.IDENTIFIER ? token.value.toLowerCase() : null;
+      const next = this.peek(1);
+
+      if (word === 'note' && next.type === TokenType.PUNCTUATION && (next.value === ':' || next.value === '{')) {
+        this.advance();
+        table.note = this.parseNoteBody();
+      } else if (word === 'indexes' && next.type === TokenType.PUNCTUATION && next.value === '{') {
+        this.advance();
+        table.indexes.push(...this.parseIndexes());
+      } else {
+        table.fields.push(this.parseField());
+      }
+    });
+
+    return table;
+  }
+
+  parseEnum(keyword) {
+    const { schemaName, name } = this.parseQualifiedName();
+    const enumDef = { name, schemaName, values: [], line: keyword.line, column: keyword.column };
+
+    this.parseBlock(() => {
+      const token = this.peek();
+      const value = {
+        name: this.parseName(),
+        settings: [],
+        line: token.line,
+        column: token.column
+      };
+      if (this.checkPunct('[')) {
+        value.settings = this.parseSettings();
+      }
+      enumDef.values.push(value);
+    });
+
+    return enumDef;
+  }
+
+  /**
+   * Parses both `Ref name: a.b > c.d` and the long form `Ref name { ... }`.
+   * Returns an array because the long form may hold several refs.
+   */
+  parseRef(keyword) {
+    let name = null;
+    if (!this.checkPunct(':') && !this.checkPunct('{')) {
+      name = this.parseName();
+    }
+
+    if (this.checkPunct(':')) {
+      this.advance();
+      return [this.parseRefBody(name, keyword)];
+    }
+
+    const refs = [];
+    this.parseBlock(() => {
+      refs.push(this.parseRefBody(name, this.peek()));
+    });
+    return refs;
+  }
+
+  parseRefBody(name, startToken) {
+    const from = this.parseEndpoint();
+    const opToken = this.peek();
+    if (opToken.type !== TokenType.PUNCTUATION || !REF_OPERATORS.includes(opToken.value)) {
+      throw this.error("Expected a relationship operator ('<', '>', '-' or '<>')", opToken);
+    }
+    this.advance();
+    const to = this.parseEndpoint();
+    const settings = this.checkPunct('[') ? this.parseSettings() : [];
+    this.expectLineEnd();
+
+    return {
+      name,
+      from,
+      to,
+      op: opToken.value,
+      settings,
+      inline: false,
+      line: startToken.line,
+      column: startToken.column
+    };
+  }
+
+  parseTableGroup(keyword) {
+    const group = {
+      name: this.parseName(),
+      tables: [],
+      settings: [],
+      note: null,
+      line: keyword.line,
+      column: keyword.column
+    };
+    if (this.checkPunct('[')) {
+      group.settings = this.parseSettings();
+    }
+
+    this.parseBlock(() => {
+      const token = this.peek();
+      const next = this.peek(1);
+      if (token.type === TokenType.IDENTIFIER && token.value.toLowerCase() === 'note' &&
+          next.type === TokenType.PUNCTUATION && (next.value === ':' || next.value === '{')) {
+        this.advance();
+        group.note = this.parseNoteBody();
+        return;
+      }
+      group.tables.push({ ...this.parseQualifiedName(), line: token.line, column: token.column });
+    });
+
+    return group;
+  }
+
+  parseStickyNote(keyword) {
+    const name = this.checkPunct('{') || this.checkPunct(':') ? null : this.parseName();
+    return {
+      name,
+      content: this.parseNoteBody(),
+      line: keyword.line,
+      column: keyword.column
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Table body
+  // ---------------------------------------------------------------------------
+
+  parseField() {
+    const token = this.peek();
+    const field = {
+      name: this.parseName(),
+      type: null,
+      settings: [],
+      line: token.line,
+      column: token.column
+    };
+
+    field.type = this.parseType();
+    if (this.checkPunct('[')) {
+      field.settings = this.parseSettings();
+    }
+    this.expectLineEnd();
+
+    return field;
+  }
+
+  /**
+   * Parses a column type such as `int`, `varchar(255)`, `decimal(10, 2)`, `auth.role`,
+   * `int[]` or a quoted `"timestamp with time zone"`.
+   */
+  parseType() {
+    const token = this.peek();
+    if (token.type !== TokenType.IDENTIFIER && token.type !== TokenType.STRING) {
+      throw this.error('Expected a column type', token);
+    }
+
+    const { schemaName, name } = this.parseQualifiedName();
+    let args = null;
+    let isArray = false;
+
+    if (this.checkPunct('(')) {
+      this.advance();
+      args = [];
+      while (!this.checkPunct(')')) {
+        const arg = this.peek();
+        if (arg.type === TokenType.EOF || arg.type === TokenType.NEWLINE) {
+          throw this.error("Expected ')' to close the type arguments", arg);
+        }
+        this.advance();
+        if (!(arg.type === TokenType.PUNCTUATION && arg.value === ',')) {
+          args.push(arg.value);
+        }
+      }
+      this.advance();
+    }
+
+    while (this.checkPunct('[') && this.peek(1).type === TokenType.PUNCTUATION && this.peek(1).value === ']') {
+      this.advance();
+      this.advance();
+      isArray = true;
+    }
+
+    let text = name + (args ? `(${args.join(',')})` : '') + (isArray ? '[]' : '');
+    if (schemaName) text = `${schemaName}.${text}`;
+
+    return { schemaName, name, args, isArray, text };
+  }
+
+  parseIndexes() {
+    const indexes = [];
+
+    this.parseBlock(() => {
+      const token = this.peek();
+      const index = { columns: [], settings: [], line: token.line, column: token.column };
+
+      if (this.checkPunct('(')) {
+        this.advance();
+        this.skipNewlines();
+        while (!this.checkPunct(')')) {
+          index.columns.push(this.parseIndexColumn());
+          this.skipNewlines();
+          if (this.checkPunct(',')) {
+            this.advance();
+            this.skipNewlines();
+          } else if (!this.checkPunct(')')) {
+            throw this.error("Expected ',' or ')' in index column list", this.peek());
+          }
+        }
+        this.advance();
+      } else {
+        index.columns.push(this.parseIndexColumn());
+      }
+
+      if (this.checkPunct('[')) {
+        index.settings = this.parseSettings();
+      }
+      this.expectLineEnd();
+      indexes.push(index);
+    });
+
+    return indexes;
+  }
+
+  parseIndexColumn() {
+    const token = this.peek();
+    if (token.type === TokenType.EXPRESSION) {
+      this.advance();
+      return { value: token.value, kind: 'expression' };
+    }
+    return { value: this.parseName(), kind: 'column' };
+  }
+
+  /**
+   * Parses a note in any of its forms: `: 'text'`, `{ 'text' }` or `{ note: 'text' }`.
+   */
+  parseNoteBody() {
+    if (this.checkPunct(':')) {
+      this.advance();
+      return this.expect(TokenType.STRING, 'Expected a note string').value;
+    }
+
+    let content = null;
+    this.parseBlock(() => {
+      content = this.expect(TokenType.STRING, 'Expected a note string').value;
+    });
+    return content;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Settings and values
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parses `[pk, not null, default: 0, ref: > users.id]` into [{ name, value }].
+   * Settings may span several lines.
+   */
+  parseSettings() {
+    const settings = [];
+    this.expectPunct('[');
+    this.skipNewlines();
+
+    while (!this.checkPunct(']')) {
+      settings.push(this.parseSetting());
+      this.skipNewlines();
+      if (this.checkPunct(',')) {
+        this.advance();
+        this.skipNewlines();
+      } else if (!this.checkPunct(']')) {
+        throw this.error("Expected ',' or ']' in settings", this.peek());
+      }
+    }
+    this.advance();
+
+    return settings;
+  }
+
+  parseSetting() {
+    const start = this.peek();
+    const words = [];
+    while (this.check(TokenType.IDENTIFIER)) {
+      words.push(this.advance().value);
+    }
+    if (!words.length) {
+      throw this.error('Expected a setting name', start);
+    }
+
+    const name = words.join(' ').toLowerCase();
+    if (!this.checkPunct(':')) {
+      return { name, value: true, line: start.line, column: start.column };
+    }
+
+    this.advance();
+    this.skipNewlines();
+    const value = name === 'ref' ? this.parseInlineRef() : this.parseSettingValue();
+    return { name, value, line: start.line, column: start.column };
+  }
+
+  /**
+   * Parses the `> users.id` part of an inline `ref:` setting.
+   */
+  parseInlineRef() {
+    const opToken = this.peek();
+    if (opToken.type !== TokenType.PUNCTUATION || !REF_OPERATORS.includes(opToken.value)) {
+      throw this.error("Expected a relationship operator ('<', '>', '-' or '<>')", opToken);
+    }
+    this.advance();
+    return { op: opToken.value, endpoint: this.parseEndpoint() };
+  }
+
+  /**
+   * Parses a setting or property value: a string, number, color, `expression`
+   * or a run of bare words such as `set null` or `hash`.
+   */
+  parseSettingValue() {
+    const token = this.peek();
+    switch (token.type) {
+      case TokenType.STRING:
+        this.advance();
+        return { type: 'string', value: token.value };
+      case TokenType.NUMBER:
+        this.advance();
+        return { type: 'number', value: Number(token.value) };
+      case TokenType.EXPRESSION:
+        this.advance();
+        return { type: 'expression', value: token.value };
+      case TokenType.COLOR:
+        this.advance();
+        return { type: 'color', value: token.value };
+      case TokenType.IDENTIFIER: {
+        const words = [];
+        while (this.check(TokenType.IDENTIFIER)) {
+          words.push(this.advance().value);
+        }
+        const value = words.join(' ');
+        const lower = value.toLowerCase();
+        if (lower === 'true' || lower === 'false') return { type: 'boolean', value: lower === 'true' };
+        if (lower === 'null') return { type: 'null', value: null };
+        return { type: 'word', value };
+      }
+      default:
+        throw this.error('Expected a value', token);
+    }
+  }
+
+  /**
+   * Parses a ref endpoint: `table.column`, `schema.table.column` or `table.(a, b)`.
+   */
+  parseEndpoint() {
+    const start = this.peek();
+    const parts = [this.parseName()];
+    let fieldNames = null;
+
+    while (this.checkPunct('.')) {
+      this.advance();
+      if (this.checkPunct('(')) {
+        fieldNames = this.parseNameList();
+        break;
+      }
+      parts.push(this.parseName());
+    }
+
+    if (!fieldNames) {
+      if (parts.length < 2) {
+        throw this.error('Expected a column reference like table.column', start);
+      }
+      fieldNames = [parts.pop()];
+    }
+    if (parts.length < 1 || parts.length > 2) {
+      throw this.error('Expected a column reference like table.column', start);
+    }
+
+    return {
+      schemaName: parts.length === 2 ? parts[0] : null,
+      tableName: parts[parts.length - 1],
+      fieldNames,
+      line: start.line,
+      column: start.column
+    };
+  }
+
+  parseNameList() {
+    const names = [];
+    this.expectPunct('(');
+    while (!this.checkPunct(')')) {
+      names.push(this.parseName());
+      if (this.checkPunct(',')) {
+        this.advance();
+      } else if (!this.checkPunct(')')) {
+        throw this.error("Expected ',' or ')' in column list", this.peek());
+      }
+    }
+    this.advance();
+    return names;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Names
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parses a bare or double-quoted name.
+   */
+  parseName() {
+    const token = this.peek();
+    if (token.type === TokenType.IDENTIFIER || (token.type === TokenType.STRING && token.quote === '"')) {
+      this.advance();
+      return token.value;
+    }
+    throw this.error('Expected a name', token);
+  }
+
+  /**
+   * Parses `name` or `schema.name`.
+   */
+  parseQualifiedName() {
+    const first = this.parseName();
+    if (this.checkPunct('.')) {
+      this.advance();
+      return { schemaName: first, name: this.parseName() };
+    }
+    return { schemaName: null, name: first };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parses `{ ... }`, calling parseItem once per non-empty line until the closing brace.
+   */
+  parseBlock(parseItem) {
+    this.expectPunct('{');
+    this.skipNewlines();
+    while (!this.checkPunct('}')) {
+      if (this.check(TokenType.EOF)) {
+        throw this.error("Expected '}' to close the block", this.peek());
+      }
+      parseItem();
+      this.skipNewlines();
+    }
+    this.advance();
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+  }
+
+  advance() {
+    const token = this.tokens[this.index];
+    if (this.index < this.tokens.length - 1) this.index++;
+    return token;
+  }
+
+  check(type) {
+    return this.peek().type === type;
+  }
+
+  checkPunct(value) {
+    const token = this.peek();
+    return token.type === TokenType.PUNCTUATION && token.value === value;
+  }
+
+  checkIdentifier(value) {
+    const token = this.peek();
+    return token.type === TokenType.IDENTIFIER && token.value.toLowerCase() === value;
+  }
+
+  expect(type, message) {
+    const token = this.peek();
+    if (token.type !== type) {
+      throw this.error(message, token);
+    }
+    return this.advance();
+  }
+
+  expectPunct(value) {
+    if (!this.checkPunct(value)) {
+      throw this.error(`Expected '${value}'`, this.peek());
+    }
+    return this.advance();
+  }
+
+  expectLineEnd() {
+    if (this.check(TokenType.NEWLINE) || this.checkPunct('}') || this.check(TokenType.EOF)) return;
+    throw this.error('Expected end of line', this.peek());
+  }
+
+  skipNewlines() {
+    while (this.check(TokenType.NEWLINE)) {
+      this.advance();
+    }
+  }
+
+  error(message, token) {
+    const found = token.type === TokenType.EOF
+      ? 'end of input'
+      : token.type === TokenType.NEWLINE ? 'end of line' : `'${token.value}'`;
+    const length = token.type === TokenType.STRING ? token.value.length + 2 : token.value.length;
+    return new DbmlParseError(`${message}, found ${found}`, token.line, token.column, length);
+  }
+}
+
+/**
+ * Parses DBML source into the diagram model.
+ * Throws DbmlParseError with the line and column of the problem on invalid input.
+ */
+export function parseDbml(source) {
+  const ast = new DbmlParser(source).parse();
+  return new ModelBuilder(ast).build();
+}
@@ -0,0 +1,374 @@
+import { DbmlParseError } from './DbmlParseError.js';
+
+const DEFAULT_SCHEMA = 'public';
+
+/**
+ * Relationship described by each ref operator once `<` has been flipped to `>`.
+ */
+const RELATIONS = {
+  '>': { relation: 'many-to-one', fromRelation: '*', toRelation: '1' },
+  '-': { relation: 'one-to-one', fromRelation: '1', toRelation: '1' },
+  '<>': { relation: 'many-to-many', fromRelation: '*', toRelation: '*' }
+};
+
+/**
+ * Converts the DbmlParser syntax tree into the { project, schemas: [{ tables, refs }] }
+ * model consumed by DiagramRenderer.
+ */
+export class ModelBuilder {
+  constructor(ast) {
+    this.ast = ast;
+    this.aliases = new Map();
+    this.groupedTables = new Map();
+  }
+
+  build() {
+    this.enums = this.ast.enums.map((enumDef, index) => this.buildEnum(enumDef, index));
+
+    const tables = this.ast.tables.map((table, index) => this.buildTable(table, index));
+    this.checkDuplicateTables(tables);
+
+    tables.forEach(table => {
+      if (table.alias) {
+        this.aliases.set(table.alias, table);
+      }
+    });
+    this.tables = tables;
+
+    const tableGroups = this.ast.tableGroups.map((group, index) => this.buildTableGroup(group, index));
+
+    const refs = [...this.ast.refs, ...this.collectInlineRefs()]
+      .map((ref, index) => this.buildRef(ref, index));
+
+    return {
+      project: this.buildProject(),
+      schemas: this.buildSchemas(tables, refs, tableGroups)
+    };
+  }
+
+  /**
+   * Returns { name, database_type, note } from the `Project` block, or null without one.
+   */
+  buildProject() {
+    const project = this.ast.project;
+    if (!project) return null;
+
+    const databaseType = project.properties.database_type;
+    return {
+      name: project.name,
+      database_type: databaseType ? String(databaseType.value) : null,
+      note: project.note
+    };
+  }
+
+  /**
+   * Splits elements into one entry per schema. The default schema always comes first;
+   * refs live with their referencing table and table groups with the default schema.
+   */
+  buildSchemas(tables, refs, tableGroups) {
+    const schemas = new Map();
+    const getSchema = (name) => {
+      if (!schemas.has(name)) {
+        schemas.set(name, { name, tables: [], refs: [], enums: [], tableGroups: [] });
+      }
+      return schemas.get(name);
+    };
+
+    getSchema(DEFAULT_SCHEMA).tableGroups.push(...tableGroups);
+    tables.forEach(table => getSchema(table.schemaName).tables.push(table));
+    this.enums.forEach(enumDef => getSchema(enumDef.schemaName).enums.push(enumDef));
+    refs.forEach(ref => getSchema(ref.fromSchema).refs.push(ref));
+
+    return Array.from(schemas.values());
+  }
+
+  buildEnum(enumDef, index) {
+    const schemaName = enumDef.schemaName || DEFAULT_SCHEMA;
+    const duplicate = this.ast.enums
+      .slice(0, index)
+      .find(other => other.name === enumDef.name && (other.schemaName || DEFAULT_SCHEMA) === schemaName);
+    if (duplicate) {
+      throw new DbmlParseError(`Enum '${enumDef.name}' is already defined`, enumDef.line, enumDef.column);
+    }
+
+    return {
+      id: index,
+      name: enumDef.name,
+      schemaName,
+      values: enumDef.values.map(value => ({
+        name: value.name,
+        note: this.getSettingValue(value.settings, 'note')
+      }))
+    };
+  }
+
+  buildTable(table, index) {
+    const fields = table.fields.map((field, fieldIndex) => this.buildField(field, fieldIndex, table));
+    const primaryKey = this.buildPrimaryKey(table, fields);
+
+    const indexes = table.indexes.map(index => this.buildIndex(index, table, fields));
+
+    return {
+      id: index,
+      name: table.name,
+      schemaName: table.schemaName || DEFAULT_SCHEMA,
+      alias: table.alias,
+      fields,
+      primaryKey,
+      indexes,
+      note: table.note,
+      headerColor: this.getSettingValue(table.settings, 'headercolor')
+    };
+  }
+
+  /**
+   * Builds an index definition. Columns are { value, type } where type is
+   * 'column' or 'expression'.
+   */
+  buildIndex(index, table, fields) {
+    index.columns.forEach(column => {
+      if (column.kind === 'column' && !fields.some(field => field.name === column.value)) {
+        throw new DbmlParseError(
+          `Index column '${column.value}' is not a column of '${table.name}'`,
+          index.line,
+          index.column
+        );
+      }
+    });
+
+    return {
+      columns: index.columns.map(column => ({ value: column.value, type: column.kind })),
+      pk: this.hasSetting(index.settings, 'pk', 'primary key'),
+      unique: this.hasSetting(index.settings, 'unique'),
+      name: this.getSettingValue(index.settings, 'name'),
+      type: this.getSettingValue(index.settings, 'type'),
+      note: this.getSettingValue(index.settings, 'note')
+    };
+  }
+
+  /**
+   * Collects the primary key columns, including a composite `(a, b) [pk]` from the indexes block.
+   * Columns in a composite key are flagged `pk` so they render with the key marker.
+   */
+  buildPrimaryKey(table, fields) {
+    const pkIndex = table.indexes.find(index => this.hasSetting(index.settings, 'pk', 'primary key'));
+    if (pkIndex) {
+      const columnNames = pkIndex.columns.map(column => {
+        const field = fields.find(f => f.name === column.value);
+        if (column.kind !== 'column' || !field) {
+          throw new DbmlParseError(
+            `Primary key column '${column.value}' is not a column of '${table.name}'`,
+            pkIndex.line,
+            pkIndex.column
+          );
+        }
+        field.pk = true;
+        return field.name;
+      });
+      return columnNames;
+    }
+
+    return fields.filter(field => field.pk).map(field => field.name);
+  }
+
+  buildField(field, index, table) {
+    const enumDef = this.findEnum(field.type.schemaName, field.type.name, table.schemaName);
+
+    return {
+      id: index,
+      name: field.name,
+      type: {
+        type_name: field.type.text,
+        schemaName: field.type.schemaName,
+        args: field.type.args,
+        enum_name: enumDef && !field.type.args ? enumDef.name : null,
+        enum_schema: enumDef && !field.type.args ? enumDef.schemaName : null
+      },
+      pk: this.hasSetting(field.settings, 'pk', 'primary key'),
+      not_null: this.hasSetting(field.settings, 'not null'),
+      unique: this.hasSetting(field.settings, 'unique'),
+      increment: this.hasSetting(field.settings, 'increment'),
+      dbdefault: this.getSetting(field.settings, 'default'),
+      note: this.getSettingValue(field.settings, 'note')
+    };
+  }
+
+  /**
+   * Resolves the member tables of a TableGroup. A table may belong to only one group.
+   */
+  buildTableGroup(group, index) {
+    const tables = group.tables.map(member => {
+      const table = this.findTable(member.schemaName, member.name);
+      if (!table) {
+        throw new DbmlParseError(`Unknown table '${member.name}' in TableGroup '${group.name}'`, member.line, member.column);
+      }
+      const key = `${table.schemaName}.${table.name}`;
+      if (this.groupedTables.has(key)) {
+        throw new DbmlParseError(
+          `Table '${table.name}' is already in TableGroup '${this.groupedTables.get(key)}'`,
+          member.line,
+          member.column
+        );
+      }
+      this.groupedTables.set(key, group.name);
+      return { schemaName: table.schemaName, name: table.name };
+    });
+
+    return {
+      id: index,
+      name: group.name,
+      tables,
+      color: this.getSettingValue(group.settings, 'color'),
+      note: group.note
+    };
+  }
+
+  /**
+   * Turns `[ref: > users.id]` column settings into refs shaped like standalone `Ref:` entries.
+   */
+  collectInlineRefs() {
+    const refs = [];
+    this.ast.tables.forEach(table => {
+      table.fields.forEach(field => {
+        field.settings
+          .filter(setting => setting.name === 'ref')
+          .forEach(setting => {
+            refs.push({
+              name: null,
+              from: {
+                schemaName: table.schemaName,
+                tableName: table.name,
+                fieldNames: [field.name],
+                line: field.line,
+                column: field.column
+              },
+              to: setting.value.endpoint,
+              op: setting.value.op,
+              settings: [],
+              inline: true,
+              line: setting.line,
+              column: setting.column
+            });
+          });
+      });
+    });
+    return refs;
+  }
+
+  /**
+   * Builds a ref with `fromTable` on the many side so lines keep pointing at the referenced table.
+   * `relation`, `fromRelation` and `toRelation` describe the cardinality of each end.
+   */
+  buildRef(ref, index) {
+    let from = this.resolveEndpoint(ref.from);
+    let to = this.resolveEndpoint(ref.to);
+    let op = ref.op;
+    if (from.fieldNames.length !== to.fieldNames.length) {
+      throw new DbmlParseError(
+        `Ref column counts differ: ${from.fieldNames.length} referencing ${to.fieldNames.length}`,
+        ref.line,
+        ref.column
+      );
+    }
+    if (op === '<') {
+      [from, to] = [to, from];
+      op = '>';
+    }
+
+    return {
+      id: index,
+      name: ref.name || `${from.tableName}_to_${to.tableName}`,
+      fromSchema: from.schemaName,
+      fromTable: from.tableName,
+      fromField: from.fieldNames[0],
+      fromFields: from.fieldNames,
+      toSchema: to.schemaName,
+      toTable: to.tableName,
+      toField: to.fieldNames[0],
+      toFields: to.fieldNames,
+      op,
+      ...RELATIONS[op],
+      inline: ref.inline,
+      onDelete: this.getSettingValue(ref.settings, 'delete'),
+      onUpdate: this.getSettingValue(ref.settings, 'update'),
+      color: this.getSettingValue(ref.settings, 'color')
+    };
+  }
+
+  /**
+   * Replaces table aliases in a ref endpoint with the real table name.
+   */
+  resolveEndpoint(endpoint) {
+    const table = this.findTable(endpoint.schemaName, endpoint.tableName);
+    if (!table) {
+      throw new DbmlParseError(`Unknown table '${endpoint.tableName}' in ref`, endpoint.line, endpoint.column);
+    }
+
+    endpoint.fieldNames.forEach(fieldName => {
+      if (!table.fields.some(field => field.name === fieldName)) {
+        throw new DbmlParseError(
+          `Unknown column '${fieldName}' in table '${table.name}'`,
+          endpoint.line,
+          endpoint.column
+        );
+      }
+    });
+
+    return {
+      schemaName: table.schemaName,
+      tableName: table.name,
+      fieldNames: endpoint.fieldNames
+    };
+  }
+
+  findTable(schemaName, tableName) {
+    if (!schemaName && this.aliases.has(tableName)) {
+      return this.aliases.get(tableName);
+    }
+    const schema = schemaName || DEFAULT_SCHEMA;
+    return this.tables.find(table => table.name === tableName && table.schemaName === schema) ||
+      (!schemaName ? this.tables.find(table => table.name === tableName) : null);
+  }
+
+  /**
+   * Finds the enum a column type refers to. Unqualified types prefer the table's own schema.
+   */
+  findEnum(schemaName, name, tableSchemaName) {
+    if (schemaName) {
+      return this.enums.find(e => e.name === name && e.schemaName === schemaName) || null;
+    }
+    const tableSchema = tableSchemaName || DEFAULT_SCHEMA;
+    return this.enums.find(e => e.name === name && e.schemaName === tableSchema) ||
+      this.enums.find(e => e.name === name) ||
+      null;
+  }
+
+  checkDuplicateTables(tables) {
+    const seen = new Set();
+    tables.forEach((table, index) => {
+      const key = `${table.schemaName}.${table.name}`;
+      if (seen.has(key)) {
+        const source = this.ast.tables[index];
+        throw new DbmlParseError(`Table '${table.name}' is already defined`, source.line, source.column);
+      }
+      seen.add(key);
+    });
+  }
+
+  hasSetting(settings, ...names) {
+    return settings.some(setting => names.includes(setting.name));
+  }
+
+  /**
+   * Returns a setting's typed value, e.g. { type: 'string', value: 'x' }, or null.
+   */
+  getSetting(settings, name) {
+    const setting = settings.find(s => s.name === name);
+    return setting && setting.value !== true ? setting.value : null;
+  }
+
+  getSettingValue(settings, name) {
+    const value = this.getSetting(settings, name);
+    return value ? value.value : null;
+  }
+}
@@ -0,0 +1,231 @@
+import { DbmlParseError } from './DbmlParseError.js';
+
+/**
+ * Token types produced by the tokenizer.
+ */
+export const TokenType = {
+  IDENTIFIER: 'identifier',
+  STRING: 'string',
+  NUMBER: 'number',
+  EXPRESSION: 'expression',
+  COLOR: 'color',
+  PUNCTUATION: 'punctuation',
+  NEWLINE: 'newline',
+  EOF: 'eof'
+};
+
+const PUNCTUATION = ['<>', '{', '}', '[', ']', '(', ')', ':', ',', '.', '<', '>', '-', '~'];
+
+/**
+ * Splits DBML source into tokens that carry their line and column.
+ * Comments are dropped; newlines are kept because columns and short refs end at them.
+ */
+export class Tokenizer {
+  constructor(source) {
+    this.source = source || '';
+    this.pos = 0;
+    this.line = 1;
+    this.column = 1;
+    this.tokens = [];
+  }
+
+  tokenize() {
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+
+      if (ch === '\n') {
+        this.push(TokenType.NEWLINE, '\n', this.line, this.column);
+        this.advance(1);
+      } else if (/\s/.test(ch)) {
+        this.advance(1);
+      } else if (this.startsWith('//')) {
+        this.skipLineComment();
+      } else if (this.startsWith('/*')) {
+        this.skipBlockComment();
+      } else if (this.startsWith("'''")) {
+        this.readMultilineString();
+      } else if (ch === '"' || ch === "'") {
+        this.readString(ch);
+      } else if (ch === '`') {
+        this.readExpression();
+      } else if (ch === '#') {
+        this.readColor();
+      } else if (/[0-9]/.test(ch) || (ch === '-' && /[0-9]/.test(this.peekChar(1)) && this.isValueContext())) {
+        this.readNumber();
+      } else if (/[A-Za-z_]/.test(ch)) {
+        this.readIdentifier();
+      } else {
+        this.readPunctuation();
+      }
+    }
+
+    this.push(TokenType.EOF, '', this.line, this.column);
+    return this.tokens;
+  }
+
+  startsWith(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  peekChar(offset = 0) {
+    return this.source[this.pos + offset] || '';
+  }
+
+  advance(count) {
+    for (let i = 0; i < count; i++) {
+      if (this.source[this.pos] === '\n') {
+        this.line++;
+        this.column = 1;
+      } else {
+        this.column++;
+      }
+      this.pos++;
+    }
+  }
+
+  push(type, value, line, column, extra = {}) {
+    this.tokens.push({ type, value, line, column, ...extra });
+  }
+
+  /**
+   * A leading minus is only part of a number after ':' or '(' or ',' (defaults and enum args);
+   * everywhere else it is the one-to-one ref operator.
+   */
+  isValueContext() {
+    const prev = this.tokens[this.tokens.length - 1];
+    return prev && prev.type === TokenType.PUNCTUATION && [':', '(', ','].includes(prev.value);
+  }
+
+  skipLineComment() {
+    while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
+      this.advance(1);
+    }
+  }
+
+  skipBlockComment() {
+    const line = this.line;
+    const column = this.column;
+    const end = this.source.indexOf('*/', this.pos + 2);
+    if (end === -1) {
+      throw new DbmlParseError('Unterminated block comment', line, column);
+    }
+    this.advance(end + 2 - this.pos);
+  }
+
+  readString(quote) {
+    const line = this.line;
+    const column = this.column;
+    let value = '';
+    this.advance(1);
+
+    while (this.pos < this.source.length) {
+      const ch = this.source[this.pos];
+      if (ch === '\\' && this.pos + 1 < this.source.length) {
+        value += this.unescape(this.source[this.pos + 1]);
+        this.advance(2);
+        continue;
+      }
+      if (ch === quote) {
+        this.advance(1);
+        this.push(TokenType.STRING, value, line, column, { quote });
+        return;
+      }
+      if (ch === '\n') break;
+      value += ch;
+      this.advance(1);
+    }
+
+    throw new DbmlParseError('Unterminated string', line, column);
+  }
+
+  readMultilineString() {
+    const line = this.line;
+    const column = this.column;
+    const end = this.source.indexOf("'''", this.pos + 3);
+    if (end === -1) {
+      throw new DbmlParseError('Unterminated multi-line string', line, column);
+    }
+    const raw = this.source.slice(this.pos + 3, end);
+    this.advance(end + 3 - this.pos);
+    this.push(TokenType.STRING, this.dedent(raw), line, column, { quote: "'''" });
+  }
+
+  readExpression() {
+    const line = this.line;
+    const column = this.column;
+    const end = this.source.indexOf('`', this.pos + 1);
+    if (end === -1) {
+      throw new DbmlParseError('Unterminated expression', line, column);
+    }
+    const value = this.source.slice(this.pos + 1, end);
+    this.advance(end + 1 - this.pos);
+    this.push(TokenType.EXPRESSION, value, line, column);
+  }
+
+  readColor() {
+    const line = this.line;
+    const column = this.column;
+    const match = /^#[0-9A-Fa-f]{3,8}\b/.exec(this.source.slice(this.pos));
+    if (!match) {
+      throw new DbmlParseError("Invalid color literal after '#'", line, column);
+    }
+    this.advance(match[0].length);
+    this.push(TokenType.COLOR, match[0], line, column);
+  }
+
+  readNumber() {
+    const line = this.line;
+    const column = this.column;
+    const match = /^-?[0-9]+(\.[0-9]+)?/.exec(this.source.slice(this.pos));
+    this.advance(match[0].length);
+
+    // Identifiers such as "2fa_enabled" start with digits; keep them whole.
+    if (/[A-Za-z_]/.test(this.peekChar())) {
+      const rest = /^[A-Za-z0-9_]*/.exec(this.source.slice(this.pos))[0];
+      this.advance(rest.length);
+      this.push(TokenType.IDENTIFIER, match[0] + rest, line, column);
+      return;
+    }
+
+    this.push(TokenType.NUMBER, match[0], line, column);
+  }
+
+  readIdentifier() {
+    const line = this.line;
+    const column = this.column;
+    const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.source.slice(this.pos));
+    this.advance(match[0].length);
+    this.push(TokenType.IDENTIFIER, match[0], line, column);
+  }
+
+  readPunctuation() {
+    const line = this.line;
+    const column = this.column;
+    const punct = PUNCTUATION.find(p => this.startsWith(p));
+    if (!punct) {
+      throw new DbmlParseError(`Unexpected character '${this.source[this.pos]}'`, line, column);
+    }
+    this.advance(punct.length);
+    this.push(TokenType.PUNCTUATION, punct, line, column);
+  }
+
+  unescape(ch) {
+    switch (ch) {
+      case 'n': return '\n';
+      case 't': return '\t';
+      default: return ch;
+    }
+  }
+
+  /**
+   * Strips the common indentation from a ''' string so notes read as written.
+   */
+  dedent(text) {
+    const lines = text.replace(/^\n/, '').replace(/\n\s*$/, '').split('\n');
+    const indents = lines
+      .filter(line => line.trim())
+      .map(line => line.match(/^\s*/)[0].length);
+    const minIndent = indents.length ? Math.min(...indents) : 0;
+    return lines.map(line => line.slice(minIndent)).join('\n');
+  }
+}